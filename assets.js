@@ -0,0 +1,136 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { getConfig } = require('./config');
+
+const STATIC_DIR = path.join(__dirname, 'public');
+const STATIC_TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.woff2': 'font/woff2'
+};
+const MIN_COMPRESS_SIZE = 1024;
+
+// 静态文件在启动时读入内存并计算内容哈希，压缩版本在首次请求时生成并缓存。
+const staticAssets = loadStaticAssets(STATIC_DIR);
+
+function loadStaticAssets(directory, prefix = '') {
+    const assets = new Map();
+    if (!fs.existsSync(directory)) {
+        return assets;
+    }
+    fs.readdirSync(directory, { withFileTypes: true }).forEach((entry) => {
+        const relativePath = `${prefix}${entry.name}`;
+        if (entry.isDirectory()) {
+            loadStaticAssets(path.join(directory, entry.name), `${relativePath}/`).forEach((asset, key) => assets.set(key, asset));
+            return;
+        }
+        const type = STATIC_TYPES[path.extname(entry.name).toLowerCase()];
+        if (!entry.isFile() || !type) {
+            return;
+        }
+        assets.set(relativePath, createAsset(type, fs.readFileSync(path.join(directory, entry.name))));
+    });
+    return assets;
+}
+
+function createAsset(type, body) {
+    return {
+        type,
+        body,
+        hash: crypto.createHash('sha256').update(body).digest('hex').slice(0, 16),
+        compressible: body.length >= MIN_COMPRESS_SIZE && /^(text\/|application\/json|image\/svg)/.test(type),
+        encoded: new Map()
+    };
+}
+
+// 运行时生成的资源（如由 locales/*.json 生成的词典脚本）也走同一套哈希、压缩和缓存逻辑。
+function addAsset(assetPath, body) {
+    const type = STATIC_TYPES[path.extname(assetPath).toLowerCase()];
+    if (!type) {
+        throw new Error(`不支持的静态资源类型：${assetPath}`);
+    }
+    staticAssets.set(assetPath, createAsset(type, Buffer.from(body)));
+}
+
+// 模板里的静态地址带上内容哈希，文件变化后地址随之改变，因此可以放心地长期缓存。
+function staticUrl(assetPath) {
+    const asset = staticAssets.get(assetPath);
+    return `${getConfig().basePath}/static/${assetPath}${asset ? `?v=${asset.hash}` : ''}`;
+}
+
+function serveStatic(req, res, assetPath, query) {
+    const asset = staticAssets.get(assetPath);
+    if (!asset) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('404 Not Found');
+        return;
+    }
+
+    const encoding = asset.compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+    const body = encoding ? encodeAsset(asset, encoding) : asset.body;
+    // 每种编码是不同的表示，ETag 也要区分，避免缓存把 gzip 内容返回给只接受 br 的客户端。
+    const etag = `"${asset.hash}${encoding ? `-${encoding}` : ''}"`;
+    const headers = {
+        'Content-Type': asset.type,
+        ETag: etag,
+        'Cache-Control': query?.v === asset.hash ? 'public, max-age=31536000, immutable' : 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+    };
+    if (asset.compressible) {
+        headers.Vary = 'Accept-Encoding';
+    }
+
+    if (matchesEtag(req, etag)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    if (encoding) {
+        headers['Content-Encoding'] = encoding;
+    }
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// If-None-Match 按弱比较处理，订阅源等动态响应也用它判断能否返回 304。
+function matchesEtag(req, etag) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    return Boolean(ifNoneMatch) && (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((value) => value.trim().replace(/^W\//, '') === etag));
+}
+
+function negotiateEncoding(header = '') {
+    const weights = new Map();
+    header.split(',').forEach((part) => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+        if (name) {
+            weights.set(name, quality ? Number(quality.slice(2)) || 0 : 1);
+        }
+    });
+    return ['br', 'gzip'].find((name) => (weights.get(name) ?? weights.get('*') ?? 0) > 0) || null;
+}
+
+function encodeAsset(asset, encoding) {
+    if (!asset.encoded.has(encoding)) {
+        asset.encoded.set(encoding, encoding === 'br'
+            ? zlib.brotliCompressSync(asset.body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 11 } })
+            : zlib.gzipSync(asset.body, { level: 9 }));
+    }
+    return asset.encoded.get(encoding);
+}
+
+module.exports = {
+    addAsset,
+    matchesEtag,
+    serveStatic,
+    staticUrl
+};
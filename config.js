@@ -0,0 +1,176 @@
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+
+// 每个选项对应配置文件中的键名与环境变量名；优先级：环境变量 > 配置文件 > 默认值。
+const OPTIONS = {
+    host: { env: 'HOST', type: 'string', default: '' },
+    port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 13478 },
+    basePath: { env: 'BASE_PATH', type: 'basePath', default: '' },
+    dataDir: { env: 'DATA_DIR', type: 'path', default: path.join(__dirname, 'data') },
+    dbPath: { env: 'DB_PATH', type: 'path', default: null },
+    pageSize: { env: 'PAGE_SIZE', type: 'integer', min: 1, max: 500, default: 50 },
+    retentionPolicy: { env: 'RETENTION_POLICY', type: 'enum', values: ['count', 'age', 'unlimited'], default: 'count' },
+    maxMessages: { env: 'MAX_MESSAGES', type: 'integer', min: 1, max: 1000000, default: 1000 },
+    maxMessageAgeDays: { env: 'MAX_MESSAGE_AGE_DAYS', type: 'integer', min: 0, max: 36500, default: 0 },
+    retentionSweepMinutes: { env: 'RETENTION_SWEEP_MINUTES', type: 'integer', min: 1, max: 1440, default: 10 },
+    trashRetentionDays: { env: 'TRASH_RETENTION_DAYS', type: 'integer', min: 0, max: 36500, default: 30 },
+    trustProxy: { env: 'TRUST_PROXY', type: 'boolean', default: false },
+    rateLimitPerMinute: { env: 'RATE_LIMIT_PER_MINUTE', type: 'integer', min: 0, max: 10000, default: 6 },
+    rateLimitBurst: { env: 'RATE_LIMIT_BURST', type: 'integer', min: 1, max: 10000, default: 5 },
+    minPostIntervalSeconds: { env: 'MIN_POST_INTERVAL_SECONDS', type: 'integer', min: 0, max: 86400, default: 3 },
+    duplicateWindowMinutes: { env: 'DUPLICATE_WINDOW_MINUTES', type: 'integer', min: 0, max: 525600, default: 10 },
+    maxLinksPerMessage: { env: 'MAX_LINKS_PER_MESSAGE', type: 'integer', min: 0, max: 1000, default: 5 },
+    bannedWords: { env: 'BANNED_WORDS', type: 'list', default: [] },
+    blockedDomains: { env: 'BLOCKED_DOMAINS', type: 'list', default: [] }
+};
+
+let loadedConfig = null;
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`配置无效：\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function loadConfig(env = process.env) {
+    const problems = [];
+    const explicitFile = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+    const configFile = explicitFile || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    const fileValues = configFile ? readConfigFile(configFile, problems) : {};
+
+    Object.keys(fileValues)
+        .filter((key) => !Object.prototype.hasOwnProperty.call(OPTIONS, key))
+        .forEach((key) => problems.push(`${configFile}: 未知的配置项 "${key}"（可用：${Object.keys(OPTIONS).join(', ')}）`));
+
+    const config = {};
+    Object.entries(OPTIONS).forEach(([key, option]) => {
+        let raw = option.default;
+        let source = '默认值';
+        let baseDir = process.cwd();
+        if (Object.prototype.hasOwnProperty.call(fileValues, key)) {
+            raw = fileValues[key];
+            source = `${configFile} 中的 "${key}"`;
+            baseDir = path.dirname(configFile);
+        }
+        if (env[option.env] !== undefined && env[option.env] !== '') {
+            raw = env[option.env];
+            source = `环境变量 ${option.env}`;
+            baseDir = process.cwd();
+        }
+        config[key] = parseOption(option, raw, source, baseDir, problems);
+    });
+
+    if (config.retentionPolicy === 'age' && !config.maxMessageAgeDays) {
+        problems.push('retentionPolicy 为 "age" 时 maxMessageAgeDays 必须大于 0');
+    }
+
+    if (problems.length) {
+        throw new ConfigError(problems);
+    }
+
+    config.dbPath = config.dbPath || path.join(config.dataDir, 'messages.db');
+    config.uploadsDir = path.join(config.dataDir, 'uploads');
+    config.configFile = configFile;
+    return Object.freeze(config);
+}
+
+// 服务端各模块（视图、静态资源等）共用同一份配置，只在第一次调用时读取。
+function getConfig() {
+    if (!loadedConfig) {
+        loadedConfig = loadConfig();
+    }
+    return loadedConfig;
+}
+
+function readConfigFile(file, problems) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        problems.push(`无法读取配置文件 ${file}：${error.message}`);
+        return {};
+    }
+    try {
+        const values = JSON.parse(text);
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            problems.push(`配置文件 ${file} 必须是一个 JSON 对象`);
+            return {};
+        }
+        return values;
+    } catch (error) {
+        problems.push(`配置文件 ${file} 不是有效的 JSON：${error.message}`);
+        return {};
+    }
+}
+
+function parseOption(option, raw, source, baseDir, problems) {
+    if (raw === null) {
+        return null;
+    }
+    if (option.type === 'integer') {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (!Number.isInteger(value) || value < option.min || value > option.max) {
+            problems.push(`${source} 必须是 ${option.min} 到 ${option.max} 之间的整数，当前为 ${JSON.stringify(raw)}`);
+            return option.default;
+        }
+        return value;
+    }
+    if (option.type === 'boolean') {
+        if (typeof raw === 'boolean') {
+            return raw;
+        }
+        const text = String(raw).trim().toLowerCase();
+        if (['1', 'true', 'yes', 'on'].includes(text)) {
+            return true;
+        }
+        if (['0', 'false', 'no', 'off'].includes(text)) {
+            return false;
+        }
+        problems.push(`${source} 必须是 true 或 false，当前为 ${JSON.stringify(raw)}`);
+        return option.default;
+    }
+    if (option.type === 'list') {
+        // 配置文件中写成字符串数组，环境变量中用逗号分隔。
+        const items = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+        if (!items || items.some((item) => typeof item !== 'string')) {
+            problems.push(`${source} 必须是字符串数组或逗号分隔的字符串，当前为 ${JSON.stringify(raw)}`);
+            return option.default;
+        }
+        return Object.freeze(items.map((item) => item.trim()).filter(Boolean));
+    }
+    if (typeof raw !== 'string') {
+        problems.push(`${source} 必须是字符串，当前为 ${JSON.stringify(raw)}`);
+        return option.default;
+    }
+    const value = raw.trim();
+    if (option.type === 'enum') {
+        if (!option.values.includes(value)) {
+            problems.push(`${source} 必须是 ${option.values.join(' / ')} 之一，当前为 ${JSON.stringify(raw)}`);
+            return option.default;
+        }
+        return value;
+    }
+    if (option.type === 'path') {
+        return path.resolve(baseDir, value);
+    }
+    if (option.type === 'basePath') {
+        // 统一成 "/board" 这种以斜杠开头、不以斜杠结尾的形式，根路径为空字符串。
+        const normalized = value.replace(/\/+$/, '');
+        if (normalized && !/^(\/[A-Za-z0-9._~-]+)+$/.test(normalized)) {
+            problems.push(`${source} 必须形如 "/board"（以 / 开头，只含字母、数字和 ._~-），当前为 ${JSON.stringify(raw)}`);
+            return option.default;
+        }
+        return normalized;
+    }
+    return value;
+}
+
+module.exports = {
+    ConfigError,
+    getConfig,
+    loadConfig
+};
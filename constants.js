@@ -0,0 +1,20 @@
+// 服务端逻辑与页面模板共用的固定限制；可配置的选项见 config.js。
+const HONEYPOT_FIELD = 'website';
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_REPLY_DEPTH = 4;
+const MAX_ATTACHMENTS = 4;
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+// 留言板地址 /b/<slug> 中的 slug：小写字母、数字和中划线，不以中划线开头或结尾。
+const BOARD_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,30}[a-z0-9])?$/;
+// 可用的回应表情，按这个顺序显示在选择器和计数里。
+const REACTION_EMOJIS = ['👍', '❤️', '🎉', '😄', '🤔', '👀'];
+
+module.exports = {
+    BOARD_SLUG_PATTERN,
+    HONEYPOT_FIELD,
+    MAX_ATTACHMENTS,
+    MAX_ATTACHMENT_SIZE,
+    MAX_REPLY_DEPTH,
+    MIN_PASSWORD_LENGTH,
+    REACTION_EMOJIS
+};
@@ -0,0 +1,50 @@
+const path = require('path');
+const fs = require('fs');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LANGUAGE = 'zh';
+
+// locales/<语言>.json：值为字符串时按 {name} 替换参数，为 { one, other } 时按 count 选择单复数。
+const translations = loadTranslations(LOCALES_DIR);
+
+function loadTranslations(directory) {
+    const result = {};
+    fs.readdirSync(directory)
+        .filter((name) => name.endsWith('.json'))
+        .sort()
+        .forEach((name) => {
+            result[path.basename(name, '.json')] = JSON.parse(fs.readFileSync(path.join(directory, name), 'utf8'));
+        });
+    if (!result[DEFAULT_LANGUAGE]) {
+        throw new Error(`缺少默认语言文件 ${path.join(directory, `${DEFAULT_LANGUAGE}.json`)}`);
+    }
+    return result;
+}
+
+function translate(key, params = {}, lang = DEFAULT_LANGUAGE) {
+    const dict = translations[lang] || translations[DEFAULT_LANGUAGE];
+    let value = dict[key] ?? translations[DEFAULT_LANGUAGE][key];
+    if (value && typeof value === 'object') {
+        value = Number(params.count) === 1 ? value.one : value.other;
+    }
+    if (typeof value !== 'string') {
+        return key;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+function hasTranslation(key) {
+    return Object.prototype.hasOwnProperty.call(translations[DEFAULT_LANGUAGE], key);
+}
+
+// 浏览器端通过 /static/locales.js 拿到同一份词典，脚本同步加载，页面脚本运行前即可使用。
+function buildClientScript() {
+    return `window.TRANSLATIONS = ${JSON.stringify(translations).replace(/</g, '\\u003c')};\n`;
+}
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    buildClientScript,
+    hasTranslation,
+    translate
+};
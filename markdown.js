@@ -0,0 +1,296 @@
+const { Marked } = require('marked');
+
+// 渲染或过滤规则有变化时递增，已缓存的 HTML 会在下次读取时按新规则重新生成。
+const RENDER_VERSION = 3;
+
+const markdown = new Marked({ gfm: true, breaks: true });
+
+const ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'dd', 'del', 'details', 'dl', 'dt', 'em',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'pre', 's', 'samp', 'small', 'span', 'strong', 'sub', 'summary', 'sup',
+    'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input']);
+
+// 这些标签连同内容一起丢弃；其余不在白名单中的标签只去掉标签本身，保留其中的文字。
+const DROPPED_CONTENT_TAGS = new Set([
+    'script', 'style', 'iframe', 'object', 'embed', 'noscript', 'noembed', 'noframes',
+    'template', 'textarea', 'select', 'svg', 'math', 'title', 'xmp', 'plaintext'
+]);
+
+const ALLOWED_ATTRIBUTES = {
+    '*': ['title'],
+    a: ['href', 'data-mention'],
+    img: ['src', 'alt', 'width', 'height'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled'],
+    details: ['open']
+};
+
+const SAFE_URL_SCHEMES = new Set(['http', 'https', 'mailto']);
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<|[^<]+/g;
+const ATTRIBUTE_PATTERN = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const BLOCK_END_PATTERN = /<br>|<\/(?:p|h[1-6]|li|blockquote|tr|dt|dd|summary)>/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// # 前面不能紧跟字母数字或 & / #，排除 URL 片段、HTML 实体和 ## 之类的写法。
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&\/#])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+const TAG_PATTERN = /^[\p{L}\p{N}_][\p{L}\p{N}_-]*$/u;
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_MESSAGE = 10;
+
+// @用户名沿用注册时的规则（3 到 32 位字母、数字、下划线或中划线）；@ 前面不能紧跟字母数字或 . / @，排除邮箱地址之类的写法。
+const MENTION_START_PATTERN = /(^|[^\p{L}\p{N}_.\/@-])@[A-Za-z0-9_-]{3}/u;
+const MENTION_PATTERN = /^@([A-Za-z0-9_-]{3,32})(?![A-Za-z0-9_-])/;
+const MENTION_PREFIX_PATTERN = /[\p{L}\p{N}_.\/@-]$/u;
+const MAX_MENTIONS_PER_MESSAGE = 10;
+const MENTION_MARKER_PATTERN = /<a data-mention="([A-Za-z0-9_-]{3,32})">/g;
+
+// 提到的用户在缓存的 HTML 中只是带 data-mention 的标记，显示时再由 resolveMentions 换成对“@用户名”的搜索链接，
+// 这样链接可以按页面、留言板和订阅需要的绝对地址分别生成。
+markdown.use({
+    extensions: [{
+        name: 'mention',
+        level: 'inline',
+        start(src) {
+            const match = src.match(MENTION_START_PATTERN);
+            return match ? match.index + match[1].length : undefined;
+        },
+        tokenizer(src, tokens) {
+            const match = MENTION_PATTERN.exec(src);
+            const previous = tokens[tokens.length - 1];
+            if (!match || this.lexer.state.inLink || (previous && MENTION_PREFIX_PATTERN.test(previous.raw))) {
+                return undefined;
+            }
+            return { type: 'mention', raw: match[0], username: match[1] };
+        },
+        renderer(token) {
+            return `<a data-mention="${token.username}">@${token.username}</a>`;
+        }
+    }]
+});
+
+function renderMarkdown(content = '') {
+    return sanitizeHtml(markdown.parse(content));
+}
+
+// 渲染结果中的纯文字，块级元素和换行之间以 \n 分隔（源码中的空白合并为空格）；代码块整体跳过，图片取替代文字。用于订阅标题和通知摘要。
+function renderPlainText(content = '') {
+    return decodeEntities(renderMarkdown(content)
+        .replace(/<pre\b[^>]*>[\s\S]*?<\/pre>/g, '')
+        .replace(/<\/t[dh]>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .replace(/<img\b[^>]*?\salt="([^"]*)"[^>]*>/g, '$1')
+        .replace(BLOCK_END_PATTERN, '\n')
+        .replace(/<[^>]*>/g, ''));
+}
+
+// buildHref(username) 返回提到的用户链接到的地址。
+function resolveMentions(html = '', buildHref) {
+    return html.replace(MENTION_MARKER_PATTERN, (marker, username) => `<a href="${escapeAttribute(buildHref(username))}">`);
+}
+
+// 只从普通文字中提取话题标签，代码、行内代码和 HTML 里的 # 不算；纯数字（如 #12）是留言编号，也不算。
+function extractHashtags(content = '') {
+    const tags = new Set();
+    markdown.walkTokens(markdown.lexer(content), (token) => {
+        if (token.type !== 'text' || token.tokens) {
+            return;
+        }
+        for (const match of token.text.matchAll(HASHTAG_PATTERN)) {
+            const tag = normalizeTag(match[2]);
+            if (tag) {
+                tags.add(tag);
+            }
+        }
+    });
+    return Array.from(tags).slice(0, MAX_TAGS_PER_MESSAGE);
+}
+
+// 按出现顺序返回提到的用户名，不区分大小写地去重；代码和链接文字里的 @ 不算。
+function extractMentions(content = '') {
+    const names = new Map();
+    markdown.walkTokens(markdown.lexer(content), (token) => {
+        if (token.type === 'mention' && !names.has(token.username.toLowerCase())) {
+            names.set(token.username.toLowerCase(), token.username);
+        }
+    });
+    return Array.from(names.values()).slice(0, MAX_MENTIONS_PER_MESSAGE);
+}
+
+// 标签统一存小写；不合法或过长时返回空字符串。
+function normalizeTag(value) {
+    const tag = String(value || '').replace(/^#/, '').replace(/-+$/, '').toLowerCase();
+    return tag.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(tag) && !/^\d+$/.test(tag) ? tag : '';
+}
+
+// 按白名单重建 HTML：标签和属性都只保留已知安全的部分，链接只允许 http(s)、mailto 和相对地址，
+// 未闭合的标签在末尾补齐，保证片段可以直接嵌入页面。
+function sanitizeHtml(html = '') {
+    const output = [];
+    const openTags = [];
+    let droppingTag = null;
+    let dropDepth = 0;
+
+    for (const match of html.matchAll(TOKEN_PATTERN)) {
+        const [token, closing, rawName, rawAttributes] = match;
+        const name = rawName ? rawName.toLowerCase() : null;
+
+        if (droppingTag) {
+            if (name === droppingTag) {
+                dropDepth += closing ? -1 : 1;
+                if (dropDepth === 0) {
+                    droppingTag = null;
+                }
+            }
+            continue;
+        }
+        if (token.startsWith('<!--')) {
+            continue;
+        }
+        if (!name) {
+            output.push(token === '<' ? '&lt;' : token);
+            continue;
+        }
+        if (DROPPED_CONTENT_TAGS.has(name)) {
+            if (!closing && !/\/\s*$/.test(rawAttributes)) {
+                droppingTag = name;
+                dropDepth = 1;
+            }
+            continue;
+        }
+        if (!ALLOWED_TAGS.has(name)) {
+            continue;
+        }
+
+        if (closing) {
+            const index = openTags.lastIndexOf(name);
+            if (index !== -1) {
+                while (openTags.length > index) {
+                    output.push(`</${openTags.pop()}>`);
+                }
+            }
+            continue;
+        }
+
+        const attributes = sanitizeAttributes(name, rawAttributes);
+        if (attributes === null) {
+            continue;
+        }
+        output.push(`<${name}${attributes}>`);
+        if (!VOID_TAGS.has(name)) {
+            openTags.push(name);
+        }
+    }
+
+    while (openTags.length) {
+        output.push(`</${openTags.pop()}>`);
+    }
+    return output.join('');
+}
+
+// 返回 null 表示整个标签都应丢弃（例如非复选框的 input）。
+function sanitizeAttributes(tag, rawAttributes = '') {
+    const allowed = new Set([...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[tag] || [])]);
+    const values = new Map();
+    for (const match of rawAttributes.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (!allowed.has(name) || values.has(name)) {
+            continue;
+        }
+        const value = cleanAttribute(tag, name, decodeEntities(match[2] ?? match[3] ?? match[4] ?? ''));
+        if (value !== null) {
+            values.set(name, value);
+        }
+    }
+
+    if (tag === 'input') {
+        if (values.get('type') !== 'checkbox') {
+            return null;
+        }
+        values.set('disabled', '');
+    }
+    if (tag === 'a' && values.has('href')) {
+        values.set('rel', 'nofollow noopener noreferrer');
+    }
+    if (tag === 'img') {
+        if (!values.has('src')) {
+            return null;
+        }
+        values.set('loading', 'lazy');
+    }
+
+    return Array.from(values, ([name, value]) => (value === '' && name !== 'alt' ? ` ${name}` : ` ${name}="${escapeAttribute(value)}"`)).join('');
+}
+
+function cleanAttribute(tag, name, value) {
+    if (name === 'href' || name === 'src') {
+        return isSafeUrl(value) ? value.trim() : null;
+    }
+    if (name === 'data-mention') {
+        return /^[A-Za-z0-9_-]{3,32}$/.test(value) ? value : null;
+    }
+    if (name === 'class') {
+        // 只保留代码块的语言标记，供前端高亮使用。
+        const classes = value.split(/\s+/).filter((item) => /^language-[\w+#-]+$/.test(item));
+        return classes.length ? classes.join(' ') : null;
+    }
+    if (name === 'align') {
+        return ['left', 'center', 'right'].includes(value.toLowerCase()) ? value.toLowerCase() : null;
+    }
+    if (name === 'start' || name === 'width' || name === 'height') {
+        return /^\d{1,6}$/.test(value.trim()) ? value.trim() : null;
+    }
+    if (name === 'type') {
+        return value.toLowerCase();
+    }
+    if (name === 'checked' || name === 'disabled' || name === 'open') {
+        return '';
+    }
+    return value;
+}
+
+function isSafeUrl(value) {
+    // 浏览器解析 URL 时会忽略控制字符和空白，判断协议前先去掉它们，防止 "java\tscript:" 之类的绕过。
+    const compact = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = compact.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+    return !scheme || SAFE_URL_SCHEMES.has(scheme[1].toLowerCase());
+}
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        const named = NAMED_ENTITIES[body.toLowerCase()];
+        return named === undefined ? entity : named;
+    });
+}
+
+function escapeAttribute(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+module.exports = {
+    RENDER_VERSION,
+    extractHashtags,
+    extractMentions,
+    normalizeTag,
+    renderMarkdown,
+    renderPlainText,
+    resolveMentions,
+    sanitizeHtml
+};
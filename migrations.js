@@ -0,0 +1,401 @@
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+
+const MAX_BACKUPS = 5;
+
+// 迁移 6 回填标签时的提取规则，照抄自当时的 markdown.js，之后那边的规则怎么改都不影响这里。
+const V6_HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&\/#])#([\p{L}\p{N}_][\p{L}\p{N}_-]*)/gu;
+const V6_TAG_PATTERN = /^[\p{L}\p{N}_][\p{L}\p{N}_-]*$/u;
+const V6_MAX_TAG_LENGTH = 50;
+const V6_MAX_TAGS_PER_MESSAGE = 10;
+
+// 按 version 递增排列，只能在末尾追加；已发布的迁移不要再修改。数据库当前版本记录在 PRAGMA user_version 中。
+// db 为 { run, get, all } 三个返回 Promise 的查询函数，以及在事务中执行回调的 transaction(work)。
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial_schema',
+        // 引入迁移之前的数据库停留在 user_version 0，但可能已有部分表和列，所以这一步必须可以重复执行。
+        async up(db) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS messages (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    content TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                )
+            `);
+            await db.run(`
+                CREATE INDEX IF NOT EXISTS idx_messages_created_at
+                ON messages (created_at DESC)
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS users (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    password_hash TEXT NOT NULL,
+                    role TEXT NOT NULL DEFAULT 'user',
+                    created_at TEXT NOT NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS sessions (
+                    token_hash TEXT PRIMARY KEY,
+                    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    created_at TEXT NOT NULL,
+                    expires_at TEXT NOT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)');
+            await ensureColumn(db, 'sessions', 'csrf_token', 'TEXT');
+            await ensureColumn(db, 'messages', 'author_id', 'INTEGER REFERENCES users(id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_messages_author_id ON messages (author_id)');
+            await ensureColumn(db, 'messages', 'parent_id', 'INTEGER REFERENCES messages(id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_messages_parent_id ON messages (parent_id)');
+            await ensureColumn(db, 'messages', 'updated_at', 'TEXT');
+            await ensureColumn(db, 'messages', 'content_html', 'TEXT');
+            await ensureColumn(db, 'messages', 'content_html_version', 'INTEGER');
+            await ensureColumn(db, 'messages', 'deleted_at', 'TEXT');
+            await ensureColumn(db, 'messages', 'deleted_by', 'INTEGER REFERENCES users(id)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_messages_deleted_at ON messages (deleted_at)');
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS message_revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id INTEGER NOT NULL REFERENCES messages(id),
+                    content TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    edited_by INTEGER REFERENCES users(id),
+                    replaced_at TEXT NOT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_message_revisions_message_id ON message_revisions (message_id, id)');
+            await initializeSearchIndex(db);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS attachments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    message_id INTEGER NOT NULL REFERENCES messages(id),
+                    original_name TEXT NOT NULL,
+                    stored_name TEXT NOT NULL UNIQUE,
+                    mime_type TEXT NOT NULL,
+                    size INTEGER NOT NULL,
+                    created_at TEXT NOT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_attachments_message_id ON attachments (message_id)');
+        }
+    },
+    {
+        version: 2,
+        name: 'webhooks',
+        // 这两张表在引入迁移前就可能由旧版启动代码建好，同样保留 IF NOT EXISTS。
+        async up(db) {
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS webhooks (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    url TEXT NOT NULL,
+                    secret TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    active INTEGER NOT NULL DEFAULT 1,
+                    created_by INTEGER REFERENCES users(id),
+                    created_at TEXT NOT NULL
+                )
+            `);
+            await db.run(`
+                CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    webhook_id INTEGER NOT NULL REFERENCES webhooks(id),
+                    event TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL DEFAULT 'pending',
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    next_attempt_at TEXT,
+                    response_status INTEGER,
+                    error TEXT,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                )
+            `);
+            await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+            await db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id)');
+        }
+    },
+    {
+        version: 3,
+        name: 'sortable_timestamps',
+        // created_at 是 ISO 字符串，按 datetime(created_at) 排序用不上索引；created_ms 存毫秒时间戳，由触发器随 created_at 自动维护。
+        async up(db) {
+            const toMs = (column) => `CAST(ROUND((julianday(${column}) - 2440587.5) * 86400000) AS INTEGER)`;
+            await db.run('ALTER TABLE messages ADD COLUMN created_ms INTEGER');
+            await db.run(`UPDATE messages SET created_ms = ${toMs('created_at')}`);
+            await db.run(`
+                CREATE TRIGGER messages_created_ms_insert AFTER INSERT ON messages BEGIN
+                    UPDATE messages SET created_ms = ${toMs('new.created_at')} WHERE id = new.id;
+                END
+            `);
+            await db.run(`
+                CREATE TRIGGER messages_created_ms_update AFTER UPDATE OF created_at ON messages BEGIN
+                    UPDATE messages SET created_ms = ${toMs('new.created_at')} WHERE id = new.id;
+                END
+            `);
+            // 首页只列顶层留言（parent_id IS NULL），(parent_id, created_ms, id) 让筛选、游标范围和排序都落在同一个索引上，
+            // 也覆盖了原来按 parent_id 查回复的索引。
+            await db.run('DROP INDEX IF EXISTS idx_messages_created_at');
+            await db.run('DROP INDEX IF EXISTS idx_messages_parent_id');
+            await db.run('CREATE INDEX idx_messages_created_ms ON messages (created_ms, id)');
+            await db.run('CREATE INDEX idx_messages_parent_created ON messages (parent_id, created_ms, id)');
+        }
+    },
+    {
+        version: 4,
+        name: 'retention',
+        // 被保留策略淘汰的主题整棵移入 archived_messages，沿用原来的 id；作者名和附件信息一并存下，不依赖其他表。
+        async up(db) {
+            await db.run('ALTER TABLE messages ADD COLUMN protected_at TEXT');
+            await db.run('ALTER TABLE messages ADD COLUMN protected_by INTEGER REFERENCES users(id)');
+            await db.run(`
+                CREATE TABLE archived_messages (
+                    id INTEGER PRIMARY KEY,
+                    parent_id INTEGER,
+                    author_id INTEGER,
+                    author_name TEXT,
+                    content TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    updated_at TEXT,
+                    attachments TEXT NOT NULL DEFAULT '[]',
+                    archive_reason TEXT NOT NULL,
+                    archived_at TEXT NOT NULL
+                )
+            `);
+            await db.run('CREATE INDEX idx_archived_messages_archived_at ON archived_messages (archived_at)');
+        }
+    },
+    {
+        version: 5,
+        name: 'boards',
+        // id 最小的留言板是默认留言板，显示在根路径下，已有的留言都归入其中；各板的保留设置为 NULL 时沿用全局配置。
+        async up(db) {
+            await db.run(`
+                CREATE TABLE boards (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    slug TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                    name TEXT NOT NULL,
+                    description TEXT NOT NULL DEFAULT '',
+                    retention_policy TEXT,
+                    max_messages INTEGER,
+                    max_message_age_days INTEGER,
+                    created_at TEXT NOT NULL
+                )
+            `);
+            await db.run("INSERT INTO boards (slug, name, created_at) VALUES ('general', '综合', ?)", [new Date().toISOString()]);
+            await db.run('ALTER TABLE messages ADD COLUMN board_id INTEGER REFERENCES boards(id)');
+            await db.run('UPDATE messages SET board_id = (SELECT MIN(id) FROM boards)');
+            await db.run('ALTER TABLE archived_messages ADD COLUMN board_id INTEGER');
+            await db.run('UPDATE archived_messages SET board_id = (SELECT MIN(id) FROM boards)');
+            // 各板首页的列表查询（board_id + parent_id IS NULL + 时间倒序）。
+            await db.run('CREATE INDEX idx_messages_board_created ON messages (board_id, parent_id, created_ms, id)');
+        }
+    },
+    {
+        version: 6,
+        name: 'tags',
+        // 标签名统一小写存放；已有留言的标签按 extractHashtagsV6 补齐。
+        async up(db) {
+            await db.run(`
+                CREATE TABLE tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL UNIQUE
+                )
+            `);
+            await db.run(`
+                CREATE TABLE message_tags (
+                    message_id INTEGER NOT NULL REFERENCES messages(id),
+                    tag_id INTEGER NOT NULL REFERENCES tags(id),
+                    PRIMARY KEY (message_id, tag_id)
+                )
+            `);
+            await db.run('CREATE INDEX idx_message_tags_tag_id ON message_tags (tag_id)');
+            const rows = await db.all("SELECT id, content FROM messages WHERE content LIKE '%#%'");
+            for (const row of rows) {
+                for (const tag of extractHashtagsV6(row.content)) {
+                    await db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]);
+                    await db.run(
+                        'INSERT OR IGNORE INTO message_tags (message_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+                        [row.id, tag]
+                    );
+                }
+            }
+        }
+    },
+    {
+        version: 7,
+        name: 'reactions',
+        // 每个用户对同一条留言的同一个表情只记一次，主键即去重条件。
+        async up(db) {
+            await db.run(`
+                CREATE TABLE reactions (
+                    message_id INTEGER NOT NULL REFERENCES messages(id),
+                    user_id INTEGER NOT NULL REFERENCES users(id),
+                    emoji TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    PRIMARY KEY (message_id, user_id, emoji)
+                )
+            `);
+            await db.run('CREATE INDEX idx_reactions_user_id ON reactions (user_id)');
+        }
+    },
+    {
+        version: 8,
+        name: 'pins',
+        // pinned_until 为空表示一直置顶；过期的置顶不会被清除，查询时按当前时间判断。
+        async up(db) {
+            await db.run('ALTER TABLE messages ADD COLUMN pinned_at TEXT');
+            await db.run('ALTER TABLE messages ADD COLUMN pinned_by INTEGER REFERENCES users(id)');
+            await db.run('ALTER TABLE messages ADD COLUMN pinned_until TEXT');
+            await db.run('CREATE INDEX idx_messages_pinned ON messages (board_id, pinned_at) WHERE pinned_at IS NOT NULL');
+        }
+    },
+    {
+        version: 9,
+        name: 'notifications',
+        // type 为 mention（被 @）或 reply（自己的留言收到回复）；同一条留言对同一个人的同类通知只有一条。
+        async up(db) {
+            await db.run(`
+                CREATE TABLE notifications (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id INTEGER NOT NULL REFERENCES users(id),
+                    type TEXT NOT NULL,
+                    message_id INTEGER NOT NULL REFERENCES messages(id),
+                    actor_id INTEGER REFERENCES users(id),
+                    created_at TEXT NOT NULL,
+                    read_at TEXT,
+                    UNIQUE (user_id, type, message_id)
+                )
+            `);
+            await db.run('CREATE INDEX idx_notifications_user ON notifications (user_id, read_at)');
+        }
+    }
+];
+
+async function getMigrationStatus(db) {
+    const row = await db.get('PRAGMA user_version');
+    const current = Number(row?.user_version) || 0;
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    return {
+        current,
+        latest,
+        migrations: MIGRATIONS.map(({ version, name }) => ({ version, name, applied: version <= current })),
+        pending: MIGRATIONS.filter((migration) => migration.version > current)
+    };
+}
+
+// 有待执行的迁移且数据库不是空库时，先用 VACUUM INTO 备份到 backupDir；每个迁移在各自的事务中执行，
+// 失败时回滚并停止，user_version 停留在最后一个成功的版本。
+async function runMigrations(db, { backupDir, dbPath }) {
+    const status = await getMigrationStatus(db);
+    if (status.current > status.latest) {
+        throw new Error(`数据库版本 ${status.current} 高于程序支持的最新版本 ${status.latest}，请升级程序后再启动。`);
+    }
+    const result = { from: status.current, to: status.current, applied: [], backupPath: null };
+    if (!status.pending.length) {
+        return result;
+    }
+
+    const tables = await db.get("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+    if (Number(tables?.count) > 0) {
+        result.backupPath = await backupDatabase(db, backupDir, dbPath, status.current);
+    }
+
+    for (const migration of status.pending) {
+        try {
+            await db.transaction(async () => {
+                await migration.up(db);
+                await db.run(`PRAGMA user_version = ${migration.version}`);
+            });
+        } catch (error) {
+            throw new Error(`迁移 ${migration.version}（${migration.name}）失败，已回滚：${error.message}`);
+        }
+        result.to = migration.version;
+        result.applied.push(migration);
+    }
+    return result;
+}
+
+async function backupDatabase(db, backupDir, dbPath, version) {
+    await fs.promises.mkdir(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    const baseName = path.basename(dbPath, path.extname(dbPath));
+    const backupPath = path.join(backupDir, `${baseName}-v${version}-${stamp}.db`);
+    await db.run('VACUUM INTO ?', [backupPath]);
+
+    // 只保留最近的几份备份，文件名中的时间戳保证按名称排序即按时间排序。
+    const backups = (await fs.promises.readdir(backupDir))
+        .filter((name) => name.startsWith(`${baseName}-v`) && name.endsWith('.db'))
+        .sort((a, b) => a.slice(a.lastIndexOf('-')).localeCompare(b.slice(b.lastIndexOf('-'))));
+    for (const name of backups.slice(0, -MAX_BACKUPS)) {
+        await fs.promises.unlink(path.join(backupDir, name));
+    }
+    return backupPath;
+}
+
+// trigram 分词器按三字符切分，中文等没有空格分隔的文本也能做子串检索。
+async function initializeSearchIndex(db) {
+    const existing = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'");
+    await db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+            content,
+            content = 'messages',
+            content_rowid = 'id',
+            tokenize = 'trigram'
+        )
+    `);
+    await db.run(`
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+            INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+        END
+    `);
+    await db.run(`
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+            INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+        END
+    `);
+    await db.run(`
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+            INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+            INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+        END
+    `);
+    if (!existing) {
+        await db.run("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
+    }
+}
+
+async function ensureColumn(db, table, column, definition) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some((item) => item.name === column)) {
+        await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+// 只从普通文字中提取，代码和 HTML 里的 # 不算；标签统一小写，纯数字（留言编号）、不合法或过长的跳过。
+function extractHashtagsV6(content) {
+    const markdown = new Marked({ gfm: true, breaks: true });
+    const tags = new Set();
+    markdown.walkTokens(markdown.lexer(content), (token) => {
+        if (token.type !== 'text' || token.tokens) {
+            return;
+        }
+        for (const match of token.text.matchAll(V6_HASHTAG_PATTERN)) {
+            const tag = match[2].replace(/-+$/, '').toLowerCase();
+            if (tag.length <= V6_MAX_TAG_LENGTH && V6_TAG_PATTERN.test(tag) && !/^\d+$/.test(tag)) {
+                tags.add(tag);
+            }
+        }
+    });
+    return Array.from(tags).slice(0, V6_MAX_TAGS_PER_MESSAGE);
+}
+
+module.exports = {
+    MIGRATIONS,
+    getMigrationStatus,
+    runMigrations
+};
@@ -0,0 +1,834 @@
+const LANGUAGE_KEY = 'lang';
+const INFINITE_SCROLL_KEY = 'infiniteScroll';
+const BASE_PATH = document.body.dataset.basePath || '';
+let currentLanguage = 'zh';
+const HTML_PARAM_KEYS = new Set(['term']);
+// 由服务端根据 locales/*.json 生成的 /static/locales.js 提供。
+const translations = window.TRANSLATIONS || { zh: {} };
+
+const LANGUAGE_OPTIONS = {
+    zh: { label: '中文', locale: 'zh-CN' },
+    en: { label: 'English', locale: 'en' }
+};
+
+function decodeEntities(value = '') {
+    const textarea = document.createElement('textarea');
+    textarea.innerHTML = value;
+    return textarea.value;
+}
+
+function getParams(el) {
+    const params = {};
+    for (const [name, raw] of Object.entries(el.dataset)) {
+        if (name.startsWith('i18n')) {
+            continue;
+        }
+        let value = raw;
+        if (HTML_PARAM_KEYS.has(name)) {
+            value = decodeEntities(value);
+        }
+        const numeric = Number(value);
+        params[name] = Number.isFinite(numeric) && value !== '' ? numeric : value;
+    }
+    return params;
+}
+
+// 与服务端 i18n.js 的规则一致：{name} 占位符按参数替换，带 one/other 的条目按 count 选择单复数。
+function t(key, vars = {}, lang = currentLanguage) {
+    const dict = translations[lang] || translations.zh;
+    let value = dict[key] ?? translations.zh[key];
+    if (value && typeof value === 'object') {
+        value = Number(vars.count) === 1 ? value.one : value.other;
+    }
+    if (typeof value !== 'string') {
+        return key;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+function applyLanguage(mode) {
+    currentLanguage = mode;
+    const languageOption = LANGUAGE_OPTIONS[mode] || LANGUAGE_OPTIONS.zh;
+    document.documentElement.setAttribute('lang', languageOption.locale);
+    const themeMode = document.documentElement.classList.contains('dark') ? 'dark' : 'light';
+
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        const key = element.dataset.i18n;
+        if (!key) {
+            return;
+        }
+        const params = getParams(element);
+        let value = t(key, params, mode);
+        if (element.dataset.uppercase === 'true' && typeof value === 'string') {
+            value = value.toUpperCase();
+        }
+        element.textContent = value;
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+        const key = element.dataset.i18nPlaceholder;
+        if (!key) {
+            return;
+        }
+        const params = getParams(element);
+        element.setAttribute('placeholder', t(key, params, mode));
+    });
+
+    document.title = t(document.body.dataset.titleKey || 'headerTitle', {}, mode);
+    updateThemeToggle(themeMode);
+    updateLanguageToggle(mode);
+}
+
+function initializeLanguage() {
+    const toggle = document.getElementById('language-toggle');
+    let stored = null;
+    try {
+        stored = localStorage.getItem(LANGUAGE_KEY);
+    } catch (error) {
+        stored = null;
+    }
+    const initial = stored && LANGUAGE_OPTIONS[stored] ? stored : 'zh';
+    applyLanguage(initial);
+    if (stored !== initial) {
+        persistLanguage(initial);
+    }
+
+    toggle?.addEventListener('click', () => {
+        const next = currentLanguage === 'zh' ? 'en' : 'zh';
+        persistLanguage(next);
+        applyLanguage(next);
+    });
+}
+
+function updateLanguageToggle(mode) {
+    const toggle = document.getElementById('language-toggle');
+    if (!toggle) {
+        return;
+    }
+    const label = toggle.querySelector('.language-toggle-label');
+    const option = LANGUAGE_OPTIONS[mode] || LANGUAGE_OPTIONS.zh;
+    if (label) {
+        label.textContent = option.label;
+    }
+}
+
+function persistLanguage(value) {
+    try {
+        localStorage.setItem(LANGUAGE_KEY, value);
+    } catch (error) {
+        // ignore
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    initializeLanguage();
+    initializeTheme();
+
+    enhanceContent(document);
+
+    document.addEventListener('keydown', (event) => {
+        const field = event.target;
+        if (event.key === 'Enter' && event.ctrlKey && field.matches?.('textarea[name="message"]')) {
+            event.preventDefault();
+            field.form?.submit();
+        }
+    });
+
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest?.('.toolbar-btn');
+        if (!button) {
+            return;
+        }
+        event.preventDefault();
+        const textarea = button.closest('form')?.querySelector('textarea[name="message"]');
+        if (!textarea) {
+            return;
+        }
+        const action = button.getAttribute('data-action');
+        applyMarkdown(textarea, action);
+    });
+
+    document.addEventListener('submit', (event) => {
+        const key = event.target.dataset?.confirm;
+        if (key && !window.confirm(t(key))) {
+            event.preventDefault();
+        }
+    });
+
+    initializeAttachments();
+    initializeReactions();
+    initializeLiveUpdates();
+    initializeInfiniteScroll();
+    initializeUndoToast();
+});
+
+// 撤销提示条显示一段时间后自动隐藏，并从地址栏去掉 undo 参数，刷新页面时不再出现。
+function initializeUndoToast() {
+    const toast = document.querySelector('[data-undo-toast]');
+    if (!toast) {
+        return;
+    }
+    const url = new URL(window.location.href);
+    url.searchParams.delete('undo');
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+    setTimeout(() => {
+        toast.remove();
+    }, 10000);
+}
+
+// 回应表单改为后台提交，只替换这条留言的回应区；请求失败时退回普通的表单提交，由服务端跳转并提示错误。
+function initializeReactions() {
+    document.addEventListener('submit', (event) => {
+        const form = event.target;
+        if (event.defaultPrevented || !form.matches?.('form[data-reactions]')) {
+            return;
+        }
+        event.preventDefault();
+        const emoji = event.submitter?.value || '';
+        const data = new FormData(form);
+        data.append('emoji', emoji);
+        data.append('fragment', '1');
+        fetch(form.action, { method: 'POST', body: new URLSearchParams(data), credentials: 'same-origin' })
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error('HTTP ' + response.status);
+                }
+                return response.text();
+            })
+            .then((html) => {
+                const template = document.createElement('template');
+                template.innerHTML = html.trim();
+                const next = template.content.firstElementChild;
+                if (next) {
+                    form.replaceWith(next);
+                    applyLanguage(currentLanguage);
+                }
+            })
+            .catch(() => {
+                const field = document.createElement('input');
+                field.type = 'hidden';
+                field.name = 'emoji';
+                field.value = emoji;
+                form.append(field);
+                form.submit();
+            });
+    });
+}
+
+function initializeAttachments() {
+    document.querySelectorAll('form[data-attachments]').forEach((form) => {
+        const input = form.querySelector('input[type="file"][name="attachments"]');
+        const textarea = form.querySelector('textarea[name="message"]');
+        const preview = form.querySelector('.attachment-preview');
+        if (!input || !preview) {
+            return;
+        }
+
+        // 粘贴和拖入的文件通过 DataTransfer 合并进文件输入框，随表单一起提交。
+        const setFiles = (files) => {
+            if (typeof DataTransfer === 'undefined') {
+                return;
+            }
+            const transfer = new DataTransfer();
+            files.forEach((file) => transfer.items.add(file));
+            input.files = transfer.files;
+            renderAttachmentPreview(input, preview);
+        };
+        const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+        const setDropping = (active) => {
+            textarea?.classList.toggle('ring-2', active);
+            textarea?.classList.toggle('ring-indigo-300', active);
+        };
+
+        input.addEventListener('change', () => renderAttachmentPreview(input, preview));
+
+        textarea?.addEventListener('paste', (event) => {
+            const files = Array.from(event.clipboardData?.files || []);
+            if (!files.length) {
+                return;
+            }
+            if (!event.clipboardData.getData('text/plain')) {
+                event.preventDefault();
+            }
+            setFiles(Array.from(input.files).concat(files));
+        });
+
+        textarea?.addEventListener('dragover', (event) => {
+            if (hasFiles(event)) {
+                event.preventDefault();
+                setDropping(true);
+            }
+        });
+        textarea?.addEventListener('dragleave', () => setDropping(false));
+        textarea?.addEventListener('drop', (event) => {
+            setDropping(false);
+            const files = Array.from(event.dataTransfer?.files || []);
+            if (files.length) {
+                event.preventDefault();
+                setFiles(Array.from(input.files).concat(files));
+            }
+        });
+
+        preview.addEventListener('click', (event) => {
+            const button = event.target.closest?.('[data-remove-index]');
+            if (!button) {
+                return;
+            }
+            event.preventDefault();
+            const index = Number(button.dataset.removeIndex);
+            setFiles(Array.from(input.files).filter((file, position) => position !== index));
+        });
+    });
+}
+
+function renderAttachmentPreview(input, preview) {
+    preview.querySelectorAll('img').forEach((image) => URL.revokeObjectURL(image.src));
+    preview.innerHTML = '';
+    Array.from(input.files).forEach((file, index) => {
+        const item = document.createElement('li');
+        item.className = 'inline-flex max-w-full items-center gap-2 rounded-lg border border-slate-200 bg-white px-2 py-1 text-xs text-slate-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300';
+        if (file.type.indexOf('image/') === 0) {
+            const image = document.createElement('img');
+            image.src = URL.createObjectURL(file);
+            image.alt = '';
+            image.className = 'h-8 w-8 rounded object-cover';
+            item.appendChild(image);
+        }
+        const name = document.createElement('span');
+        name.className = 'truncate font-medium';
+        name.textContent = file.name + ' · ' + formatFileSize(file.size);
+        item.appendChild(name);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'text-slate-400 transition hover:text-rose-500';
+        remove.dataset.removeIndex = String(index);
+        remove.setAttribute('aria-label', t('removeAttachment'));
+        remove.textContent = '×';
+        item.appendChild(remove);
+        preview.appendChild(item);
+    });
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return bytes + ' B';
+    }
+    if (bytes < 1024 * 1024) {
+        return (bytes / 1024).toFixed(1) + ' KB';
+    }
+    return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+// Markdown 已在服务端渲染并过滤，这里只负责代码高亮和代码块工具栏。
+function enhanceContent(root) {
+    if (window.hljs) {
+        root.querySelectorAll('.message-content pre code:not([data-highlighted])').forEach((block) => window.hljs.highlightElement(block));
+    }
+
+    enhanceCodeBlocks();
+}
+
+function initializeLiveUpdates() {
+    const list = document.getElementById('message-list');
+    if (!list || !window.EventSource) {
+        return;
+    }
+
+    const banner = document.getElementById('live-banner');
+    const isLive = list.dataset.live === 'true';
+    let pending = 0;
+    const source = new EventSource(BASE_PATH + '/events');
+
+    source.addEventListener('message.created', (event) => {
+        const message = JSON.parse(event.data);
+        if (document.getElementById('message-' + message.id)) {
+            return;
+        }
+        if (message.parentId) {
+            insertReply(message);
+            return;
+        }
+        // 其他留言板的新主题不影响当前列表。
+        if (message.board !== list.dataset.board) {
+            return;
+        }
+        if (!isLive) {
+            pending += 1;
+            if (banner) {
+                const label = banner.querySelector('[data-i18n]');
+                label.dataset.count = String(pending);
+                label.textContent = t('newMessagesBanner', { count: pending });
+                banner.hidden = false;
+            }
+            return;
+        }
+        fetchCard(message.id, 0).then((item) => {
+            if (!item || document.getElementById('message-' + message.id)) {
+                return;
+            }
+            list.querySelector('[data-empty]')?.remove();
+            list.prepend(item);
+            activate(item);
+        });
+    });
+
+    source.addEventListener('message.updated', (event) => {
+        const message = JSON.parse(event.data);
+        const existing = document.getElementById('message-' + message.id);
+        if (!existing) {
+            return;
+        }
+        fetchCard(message.id, Number(existing.dataset.depth) || 0).then((item) => {
+            if (!item) {
+                return;
+            }
+            // 保留原有的回复列表，只替换卡片本身的内容。
+            const replies = existing.querySelector(':scope > details[data-replies]');
+            const freshReplies = item.querySelector(':scope > details[data-replies]');
+            if (replies && freshReplies) {
+                freshReplies.replaceWith(replies);
+            }
+            existing.replaceWith(item);
+            activate(item);
+        });
+    });
+
+    source.addEventListener('message.deleted', (event) => {
+        const { ids } = JSON.parse(event.data);
+        ids.forEach((id) => {
+            const item = document.getElementById('message-' + id);
+            if (item) {
+                adjustReplyCounts(item, -1 - item.querySelectorAll('li[data-message-id]').length);
+                item.remove();
+            }
+        });
+    });
+
+    function insertReply(message) {
+        const parent = document.getElementById('message-' + message.parentId);
+        if (!parent) {
+            return;
+        }
+        const holder = parent.querySelector(':scope > details[data-replies]');
+        // 达到最大嵌套深度的留言没有自己的回复列表，新回复与它平铺在同一层。
+        const target = holder ? holder.querySelector(':scope > ul') : parent.parentElement;
+        const depth = (Number(parent.dataset.depth) || 0) + (holder ? 1 : 0);
+        fetchCard(message.id, depth).then((item) => {
+            if (!item || !target || document.getElementById('message-' + message.id)) {
+                return;
+            }
+            target.appendChild(item);
+            adjustReplyCounts(item, 1);
+            if (holder) {
+                holder.hidden = false;
+                holder.open = true;
+            }
+            activate(item);
+        });
+    }
+
+    function adjustReplyCounts(item, delta) {
+        let holder = item.parentElement?.closest('details[data-replies]');
+        while (holder) {
+            const summary = holder.querySelector(':scope > summary');
+            const count = Math.max(0, (Number(summary.dataset.count) || 0) + delta);
+            summary.dataset.count = String(count);
+            summary.textContent = t('replyCount', { count });
+            holder = holder.parentElement?.closest('details[data-replies]');
+        }
+    }
+}
+
+// 自动加载模式：分页导航接近可视区域时取下一页的 HTML，把其中的留言追加到列表并换上新的分页导航，无需整页刷新。
+// 是否开启记在 localStorage 中，不支持 IntersectionObserver 的浏览器仍使用普通翻页。
+function initializeInfiniteScroll() {
+    const list = document.getElementById('message-list');
+    let nav = document.querySelector('[data-pagination]');
+    if (!list || !nav || !window.IntersectionObserver) {
+        return;
+    }
+
+    let enabled = false;
+    try {
+        enabled = localStorage.getItem(INFINITE_SCROLL_KEY) === 'on';
+    } catch (error) {
+        // 忽略访问本地存储失败的情况
+    }
+    let loading = false;
+    const observer = new IntersectionObserver((entries) => {
+        if (enabled && entries.some((entry) => entry.isIntersecting)) {
+            loadNext();
+        }
+    }, { rootMargin: '600px 0px' });
+
+    function bindNav() {
+        const toggle = nav.querySelector('[data-infinite-toggle]');
+        if (toggle) {
+            toggle.hidden = false;
+            updateToggle(toggle);
+            toggle.addEventListener('click', () => {
+                enabled = !enabled;
+                try {
+                    localStorage.setItem(INFINITE_SCROLL_KEY, enabled ? 'on' : 'off');
+                } catch (error) {
+                    // 忽略写入本地存储失败的情况
+                }
+                updateToggle(toggle);
+                // 重新观察一次，导航已在可视区域内时也能立即开始加载。
+                observer.unobserve(nav);
+                observer.observe(nav);
+            });
+        }
+        observer.observe(nav);
+    }
+
+    function updateToggle(toggle) {
+        const key = enabled ? 'infiniteScrollDisable' : 'infiniteScrollEnable';
+        toggle.dataset.i18n = key;
+        toggle.textContent = t(key);
+    }
+
+    function loadNext() {
+        const next = nav.querySelector('[data-next-page]');
+        if (loading || !next) {
+            return;
+        }
+        loading = true;
+        next.dataset.i18n = 'infiniteScrollLoading';
+        next.textContent = t('infiniteScrollLoading');
+        fetch(next.href, { credentials: 'same-origin' })
+            .then((response) => (response.ok ? response.text() : Promise.reject(new Error(String(response.status)))))
+            .then((html) => {
+                const page = new DOMParser().parseFromString(html, 'text/html');
+                page.querySelectorAll('#message-list > li[data-message-id]').forEach((item) => {
+                    if (!document.getElementById(item.id)) {
+                        list.appendChild(document.adoptNode(item));
+                    }
+                });
+                const freshNav = page.querySelector('[data-pagination]');
+                observer.unobserve(nav);
+                loading = false;
+                if (freshNav) {
+                    const adopted = document.adoptNode(freshNav);
+                    nav.replaceWith(adopted);
+                    nav = adopted;
+                    bindNav();
+                } else {
+                    nav.remove();
+                }
+                activate(list);
+            })
+            .catch(() => {
+                loading = false;
+                next.dataset.i18n = 'paginationNext';
+                next.textContent = t('paginationNext');
+            });
+    }
+
+    bindNav();
+}
+
+function fetchCard(id, depth) {
+    const list = document.getElementById('message-list');
+    const params = new URLSearchParams({ depth: String(depth), page: list?.dataset.page || '1' });
+    return fetch(BASE_PATH + '/messages/' + id + '/card?' + params.toString(), { credentials: 'same-origin' })
+        .then((response) => (response.ok ? response.text() : ''))
+        .then((html) => {
+            if (!html) {
+                return null;
+            }
+            const template = document.createElement('template');
+            template.innerHTML = html.trim();
+            return template.content.firstElementChild;
+        })
+        .catch(() => null);
+}
+
+function activate(item) {
+    enhanceContent(item);
+    applyLanguage(currentLanguage);
+}
+
+function applyMarkdown(textarea, action) {
+    if (!action) {
+        return;
+    }
+
+    textarea.focus();
+
+    let start = textarea.selectionStart;
+    let end = textarea.selectionEnd;
+    if (start === null || start === undefined || Number.isNaN(start)) {
+        start = textarea.value.length;
+    }
+    if (end === null || end === undefined || Number.isNaN(end)) {
+        end = start;
+    }
+
+    const value = textarea.value;
+    const selected = value.slice(start, end);
+    let replacement = selected;
+    let innerStart = 0;
+    let innerEnd = replacement.length;
+    const tick = String.fromCharCode(96);
+    const fence = tick.repeat(3);
+
+    const selectAll = function () {
+        innerStart = 0;
+        innerEnd = replacement.length;
+    };
+
+    switch (action) {
+        case "heading-1": {
+            const text = selected || "标题";
+            replacement = "# " + text;
+            innerStart = 2;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        case "heading-2": {
+            const text = selected || "小标题";
+            replacement = "## " + text;
+            innerStart = 3;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        case "bold": {
+            const text = selected || "文本";
+            replacement = "**" + text + "**";
+            innerStart = 2;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        case "italic": {
+            const text = selected || "文本";
+            replacement = "*" + text + "*";
+            innerStart = 1;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        case "list-ul": {
+            const source = selected || "列表项";
+            const lines = source.split(/\r?\n/);
+            replacement = lines.map((line) => "- " + (line || "列表项")).join('\n');
+            selectAll();
+            break;
+        }
+        case "list-ol": {
+            const source = selected || "列表项";
+            const lines = source.split(/\r?\n/);
+            replacement = lines.map((line, index) => (index + 1) + ". " + (line || "列表项")).join('\n');
+            selectAll();
+            break;
+        }
+        case "code": {
+            const text = selected || "代码";
+            replacement = tick + text + tick;
+            innerStart = 1;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        case "code-block": {
+            const text = selected || "代码";
+            replacement = fence + '\n' + text + '\n' + fence + '\n';
+            innerStart = fence.length + 1;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        case "quote": {
+            const source = selected || "引用内容";
+            const lines = source.split(/\r?\n/);
+            replacement = lines.map((line) => "> " + (line || "引用内容")).join('\n');
+            selectAll();
+            break;
+        }
+        case "link": {
+            const text = selected || "链接文本";
+            replacement = "[" + text + "](https://example.com)";
+            innerStart = 1;
+            innerEnd = innerStart + text.length;
+            break;
+        }
+        default:
+            return;
+    }
+
+    const before = value.slice(0, start);
+    const after = value.slice(end);
+    textarea.value = before + replacement + after;
+
+    const offset = before.length;
+    textarea.setSelectionRange(offset + innerStart, offset + innerEnd);
+    textarea.focus();
+    textarea.dispatchEvent(new Event('input'));
+}
+
+function enhanceCodeBlocks() {
+    const blocks = document.querySelectorAll('.message-content pre');
+    blocks.forEach((pre) => {
+        if (pre.dataset.enhanced === 'true') {
+            return;
+        }
+
+        const codeElement = pre.querySelector('code') || pre;
+        if (!codeElement) {
+            return;
+        }
+
+        pre.dataset.enhanced = 'true';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block-wrapper group overflow-hidden rounded-2xl border border-slate-200 bg-slate-50 text-slate-800 shadow-md shadow-slate-200/60 transition-colors dark:border-slate-800 dark:bg-slate-900 dark:text-slate-100 dark:shadow-slate-900/50';
+
+        const header = document.createElement('div');
+        header.className = 'flex items-center justify-between border-b border-slate-200/80 bg-slate-100/90 px-4 py-2 text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-500 transition-colors dark:border-white/10 dark:bg-slate-900/70 dark:text-slate-200';
+
+        const title = document.createElement('span');
+        const languageMatch = (codeElement.className || '').match(/language-([w-]+)/i);
+        if (languageMatch && languageMatch[1]) {
+            title.textContent = languageMatch[1].toUpperCase();
+        } else {
+            title.dataset.i18n = 'codeFallback';
+            title.dataset.uppercase = 'true';
+            title.textContent = t('codeFallback').toUpperCase();
+        }
+        header.appendChild(title);
+
+        const actions = document.createElement('div');
+        actions.className = 'flex items-center gap-2';
+
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.className = 'inline-flex items-center gap-1 rounded-lg border border-slate-300 bg-white/40 px-2.5 py-1 text-[11px] font-medium tracking-wide text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-400 dark:border-slate-700 dark:bg-slate-800/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:text-indigo-200';
+        copyButton.dataset.i18n = 'copyButton';
+        copyButton.textContent = t('copyButton');
+
+        copyButton.addEventListener('click', () => {
+            const originalText = codeElement.innerText;
+            const reset = () => {
+                copyButton.textContent = t('copyButton');
+            };
+
+            const finish = (messageKey) => {
+                copyButton.textContent = t(messageKey);
+                setTimeout(reset, 1600);
+            };
+
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                navigator.clipboard.writeText(originalText).then(() => {
+                    finish('copySuccess');
+                }).catch(() => {
+                    fallbackCopy(originalText, finish);
+                });
+            } else {
+                fallbackCopy(originalText, finish);
+            }
+        });
+
+        actions.appendChild(copyButton);
+        header.appendChild(actions);
+
+        const body = document.createElement('div');
+        body.className = 'relative bg-white/70 transition-colors dark:bg-slate-950/40';
+
+        pre.classList.add('m-0', 'max-h-[60vh]', 'overflow-auto', 'bg-transparent', 'p-4', 'text-sm', 'leading-6', 'text-slate-800', 'dark:text-slate-100');
+
+        const parent = pre.parentNode;
+        if (parent) {
+            wrapper.appendChild(header);
+            parent.replaceChild(wrapper, pre);
+            body.appendChild(pre);
+            wrapper.appendChild(body);
+            pre.dataset.enhanced = 'true';
+        }
+
+        function fallbackCopy(text, onComplete) {
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'absolute';
+            textarea.style.left = '-9999px';
+            document.body.appendChild(textarea);
+            textarea.select();
+            try {
+                document.execCommand('copy');
+                onComplete('copySuccess');
+            } catch (error) {
+                onComplete('copyFailure');
+            } finally {
+                document.body.removeChild(textarea);
+            }
+        }
+    });
+}
+
+function initializeTheme() {
+    const root = document.documentElement;
+    const themeToggle = document.getElementById('theme-toggle');
+    const media = window.matchMedia('(prefers-color-scheme: dark)');
+
+    let stored = null;
+    try {
+        stored = localStorage.getItem('theme');
+    } catch (error) {
+        stored = null;
+    }
+
+    const preferred = media.matches ? 'dark' : 'light';
+    const initial = stored === 'dark' || stored === 'light' ? stored : preferred;
+
+    applyTheme(initial);
+
+    if (!stored) {
+        persistTheme(initial);
+    }
+
+    themeToggle?.addEventListener('click', () => {
+        const nextTheme = root.classList.contains('dark') ? 'light' : 'dark';
+        persistTheme(nextTheme);
+        applyTheme(nextTheme);
+    });
+
+    media.addEventListener('change', (event) => {
+        let saved = null;
+        try {
+            saved = localStorage.getItem('theme');
+        } catch (error) {
+            saved = null;
+        }
+        if (saved === 'light' || saved === 'dark') {
+            return;
+        }
+        applyTheme(event.matches ? 'dark' : 'light');
+    });
+}
+
+function applyTheme(mode) {
+    const root = document.documentElement;
+    root.classList.toggle('dark', mode === 'dark');
+    updateThemeToggle(mode);
+}
+
+function updateThemeToggle(mode) {
+    const button = document.getElementById('theme-toggle');
+    if (!button) {
+        return;
+    }
+    const icon = button.querySelector('span[aria-hidden="true"]');
+    const label = button.querySelector('.theme-toggle-label');
+    if (icon) {
+        icon.textContent = mode === 'dark' ? '🌙' : '☀️';
+    }
+    if (label) {
+        label.textContent = mode === 'dark' ? t('themeDark') : t('themeLight');
+    }
+}
+
+function persistTheme(value) {
+    try {
+        localStorage.setItem('theme', value);
+    } catch (error) {
+        // ignore storage errors
+    }
+}
+
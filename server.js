@@ -1,1012 +1,3646 @@
 const http = require('http');
+const https = require('https');
 const url = require('url');
 const querystring = require('querystring');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter, once } = require('events');
+const { promisify } = require('util');
 const sqlite3 = require('sqlite3').verbose();
+const { getConfig, ConfigError } = require('./config');
+const { extractHashtags, extractMentions, normalizeTag, renderMarkdown, resolveMentions, RENDER_VERSION } = require('./markdown');
+const { getMigrationStatus, runMigrations } = require('./migrations');
+const { buildClientScript, translate } = require('./i18n');
+const { addAsset, matchesEtag, serveStatic } = require('./assets');
+const { BOARD_SLUG_PATTERN, HONEYPOT_FIELD, MAX_ATTACHMENTS, MAX_ATTACHMENT_SIZE, MAX_REPLY_DEPTH, MIN_PASSWORD_LENGTH, REACTION_EMOJIS } = require('./constants');
+const {
+    groupByParent,
+    renderAuthPage,
+    renderBoardsPage,
+    renderHomePage,
+    renderImportResultPage,
+    renderInboxPage,
+    renderMessageCard,
+    renderNoticePage,
+    renderReactions,
+    renderRevisionsPage,
+    renderTrashPage,
+    renderWebhooksPage
+} = require('./views');
+const { buildItemTitle, renderAtomFeed, renderJsonFeed, renderRssFeed } = require('./views/feeds');
+const { boardPath, buildListPath, escapeHtml, withBase, withQuery } = require('./views/helpers');
+
+let config;
+try {
+    config = getConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) {
+        throw error;
+    }
+    console.error(error.message);
+    process.exit(1);
+}
 
-const PAGE_SIZE = 50;
-const MAX_MESSAGES = 1000;
-const MAX_PAGES = MAX_MESSAGES / PAGE_SIZE;
-const PORT = 13478;
-
-const DATA_DIR = path.join(__dirname, 'data');
-const DB_PATH = path.join(DATA_DIR, 'messages.db');
+const PAGE_SIZE = config.pageSize;
+const RETENTION_POLICY = config.retentionPolicy;
+const MAX_MESSAGES = config.maxMessages;
+const MAX_MESSAGE_AGE_MS = config.maxMessageAgeDays * 24 * 60 * 60 * 1000;
+const RETENTION_SWEEP_INTERVAL_MS = config.retentionSweepMinutes * 60 * 1000;
+const ARCHIVE_BATCH_SIZE = 100;
+const TRASH_RETENTION_MS = config.trashRetentionDays * 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const TRASH_PAGE_LIMIT = 200;
+const TOP_TAGS_LIMIT = 20;
+const INBOX_PAGE_LIMIT = 100;
+const HOST = config.host;
+const PORT = config.port;
+const BASE_PATH = config.basePath;
+const RATE_LIMIT_PER_MINUTE = config.rateLimitPerMinute;
+const RATE_LIMIT_BURST = config.rateLimitBurst;
+const MIN_POST_INTERVAL_MS = config.minPostIntervalSeconds * 1000;
+const DUPLICATE_WINDOW_MS = config.duplicateWindowMinutes * 60 * 1000;
+const MAX_LINKS_PER_MESSAGE = config.maxLinksPerMessage;
+const BANNED_WORDS = config.bannedWords.map((word) => word.toLowerCase());
+const BLOCKED_DOMAINS = config.blockedDomains.map((domain) => domain.toLowerCase().replace(/^\.+/, ''));
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SSE_HEARTBEAT_MS = 25 * 1000;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+const DATA_DIR = config.dataDir;
+const DB_PATH = config.dbPath;
+const UPLOADS_DIR = config.uploadsDir;
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const ARCHIVE_UPLOADS_DIR = path.join(DATA_DIR, 'archive', 'uploads');
+
+const MAX_MULTIPART_SIZE = MAX_ATTACHMENTS * MAX_ATTACHMENT_SIZE + 1024 * 1024;
+const STORED_NAME_PATTERN = /^[a-f0-9]{32}\.[a-z0-9]+$/;
+const MAX_IMPORT_SIZE = 20 * 1024 * 1024;
+const EXPORT_BATCH_SIZE = 500;
+const WEBHOOK_EVENTS = ['message.created', 'message.updated', 'message.deleted'];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 30 * 1000;
+const WEBHOOK_POLL_INTERVAL_MS = 15 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_LOG_LIMIT = 100;
+const WEBHOOK_LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 只接受下列类型，且以文件头特征（magic bytes）为准，不信任浏览器上报的 Content-Type。
+const ATTACHMENT_TYPES = [
+    { mime: 'image/png', ext: '.png', image: true, matches: (data) => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mime: 'image/jpeg', ext: '.jpg', image: true, matches: (data) => data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+    { mime: 'image/gif', ext: '.gif', image: true, matches: (data) => /^GIF8[79]a/.test(data.subarray(0, 6).toString('latin1')) },
+    { mime: 'image/webp', ext: '.webp', image: true, matches: (data) => data.subarray(0, 4).toString('latin1') === 'RIFF' && data.subarray(8, 12).toString('latin1') === 'WEBP' },
+    { mime: 'application/pdf', ext: '.pdf', image: false, matches: (data) => data.subarray(0, 5).toString('latin1') === '%PDF-' },
+    { mime: 'application/zip', ext: '.zip', image: false, matches: (data) => data.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04])) },
+    { mime: 'text/plain', ext: '.txt', image: false, matches: (data, filename) => /\.(txt|md|log|csv)$/i.test(filename) && !data.subarray(0, 8192).includes(0) }
+];
 
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
+if (!fs.existsSync(path.dirname(DB_PATH))) {
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+if (!fs.existsSync(UPLOADS_DIR)) {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
 
 const db = new sqlite3.Database(DB_PATH);
-db.serialize(() => {
-    db.run(`
-        CREATE TABLE IF NOT EXISTS messages (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            content TEXT NOT NULL,
-            created_at TEXT NOT NULL
-        )
-    `);
-    db.run(`
-        CREATE INDEX IF NOT EXISTS idx_messages_created_at
-        ON messages (created_at DESC)
-    `);
-});
+// 语句按发出的顺序执行，事务开始前已发出的语句不会落进事务里。
+db.serialize();
 
-const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
-    db.run(sql, params, function(err) {
-        if (err) {
-            reject(err);
-            return;
-        }
-        resolve(this);
+// 所有程序只共用这一个连接，事务期间连接上不能混入其他语句：事务通过 withTransaction 依次进行，
+// 事务之外的语句先等当前事务结束；transactionScope 标记事务内部发出的语句，它们直接执行。
+const transactionScope = new AsyncLocalStorage();
+let transactionLock = Promise.resolve();
+
+async function withTransaction(work) {
+    if (transactionScope.getStore()) {
+        return work();
+    }
+    const previous = transactionLock;
+    let release;
+    transactionLock = new Promise((resolve) => {
+        release = resolve;
     });
-});
+    await previous;
+    try {
+        return await transactionScope.run(true, async () => {
+            await dbRun('BEGIN IMMEDIATE');
+            try {
+                const result = await work();
+                await dbRun('COMMIT');
+                return result;
+            } catch (error) {
+                await dbRun('ROLLBACK').catch(() => {});
+                throw error;
+            }
+        });
+    } finally {
+        release();
+    }
+}
 
-const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-        if (err) {
-            reject(err);
-            return;
-        }
-        resolve(row);
+function waitForTransaction() {
+    return transactionScope.getStore() ? null : transactionLock;
+}
+
+const dbRun = async (sql, params = []) => {
+    await waitForTransaction();
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(this);
+        });
     });
-});
+};
 
-const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-        if (err) {
-            reject(err);
-            return;
-        }
-        resolve(rows);
+const dbGet = async (sql, params = []) => {
+    await waitForTransaction();
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(row);
+        });
     });
-});
+};
+
+const dbAll = async (sql, params = []) => {
+    await waitForTransaction();
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+};
+
+const migrationDb = { run: dbRun, get: dbGet, all: dbAll, transaction: withTransaction };
+
+// 置顶中的主题：已置顶且没有过期。时间都按 toISOString() 的格式存放，可以直接按字符串比较。
+const PINNED_CONDITION = "messages.pinned_at IS NOT NULL AND (messages.pinned_until IS NULL OR messages.pinned_until > strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+
+// 过期的置顶在查询结果中 pinned_at 为 NULL，与从未置顶的留言一样处理。
+const MESSAGE_COLUMNS = `
+    messages.id, messages.content, messages.created_at, messages.created_ms, messages.updated_at, messages.author_id, users.username AS author_name,
+    messages.parent_id, parent_users.username AS parent_author_name,
+    messages.content_html, messages.content_html_version, messages.protected_at, messages.board_id, boards.slug AS board_slug,
+    CASE WHEN ${PINNED_CONDITION} THEN messages.pinned_at END AS pinned_at, messages.pinned_until
+`;
+
+const MESSAGE_JOINS = `
+    LEFT JOIN users ON users.id = messages.author_id
+    LEFT JOIN messages AS parents ON parents.id = messages.parent_id
+    LEFT JOIN users AS parent_users ON parent_users.id = parents.author_id
+    LEFT JOIN boards ON boards.id = messages.board_id
+`;
+
+const MESSAGE_SELECT = `SELECT ${MESSAGE_COLUMNS} FROM messages ${MESSAGE_JOINS}`;
+
+// 软删除的留言保留在表中直到被清除，所有面向列表的查询都要带上这个条件。
+const LIVE_CONDITION = 'messages.deleted_at IS NULL';
+
+// created_ms 与 id 组成唯一的排序键，既能走 idx_messages_created_ms 索引，也用作翻页游标。
+const DEFAULT_ORDER = 'ORDER BY messages.created_ms DESC, messages.id DESC';
+// 按回应数排序（?sort=reactions），回应数相同时仍按时间。
+const REACTION_ORDER = 'ORDER BY (SELECT COUNT(*) FROM reactions WHERE reactions.message_id = messages.id) DESC, messages.created_ms DESC, messages.id DESC';
+const KEYSET_BEFORE = '(messages.created_ms, messages.id) < (?, ?)';
+const KEYSET_AFTER = '(messages.created_ms, messages.id) > (?, ?)';
+
+const THREAD_SUBTREE = `
+    WITH RECURSIVE subtree(id) AS (
+        SELECT ?
+        UNION ALL
+        SELECT messages.id FROM messages JOIN subtree ON messages.parent_id = subtree.id
+    )
+`;
+
+// 浏览器端的词典脚本由 locales/*.json 生成，与服务端使用同一份翻译。
+addAsset('locales.js', buildClientScript());
+
+const messageEvents = new EventEmitter();
+messageEvents.setMaxListeners(0);
+
+function emitMessageEvent(type, payload) {
+    messageEvents.emit('event', { type, payload });
+}
+
+// 表结构由 migrations.js 中的迁移维护；启动和命令行导入前都会先执行尚未应用的迁移。
+async function initializeDatabase() {
+    const result = await runMigrations(migrationDb, { backupDir: BACKUP_DIR, dbPath: DB_PATH });
+    if (result.applied.length) {
+        console.log(`数据库已从版本 ${result.from} 迁移到 ${result.to}${result.backupPath ? `，迁移前的备份：${result.backupPath}` : ''}`);
+    }
+    await dbRun('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+}
+
+class HttpError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+    }
+}
 
 const server = http.createServer((req, res) => {
+    if (!stripBasePath(req)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('404 Not Found');
+        return;
+    }
     handleRequest(req, res).catch((error) => {
-        console.error('Request handling failed:', error);
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status >= 500) {
+            console.error('Request handling failed:', error);
+        }
+        if (isApiRequest(req)) {
+            const code = error instanceof HttpError ? error.code : 'internal_error';
+            const message = error instanceof HttpError ? error.message : 'Internal server error';
+            if (!res.headersSent) {
+                sendJsonError(res, status, code, message);
+            } else {
+                res.end();
+            }
+            return;
+        }
         if (!res.headersSent) {
-            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
         }
-        res.end('服务器内部错误');
+        res.end(status >= 500 ? '服务器内部错误' : error.message);
     });
 });
 
+// 部署在反向代理的子路径（如 /board/）下时，把请求路径还原为应用内部路径。
+function stripBasePath(req) {
+    if (!BASE_PATH) {
+        return true;
+    }
+    const queryIndex = req.url.indexOf('?');
+    const pathname = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+    if (pathname !== BASE_PATH && !pathname.startsWith(`${BASE_PATH}/`)) {
+        return false;
+    }
+    req.url = `${pathname.slice(BASE_PATH.length) || '/'}${queryIndex === -1 ? '' : req.url.slice(queryIndex)}`;
+    return true;
+}
+
 async function handleRequest(req, res) {
     const parsedUrl = url.parse(req.url, true);
     const pathname = parsedUrl.pathname;
 
-    if (req.method === 'GET' && pathname === '/') {
-        await renderHome(res, parsedUrl.query);
+    if (isApiRequest(req)) {
+        await handleApi(req, res, pathname, parsedUrl.query);
         return;
     }
 
-    if (req.method === 'POST' && pathname === '/submit') {
-        await handleSubmit(req, res);
+    if (req.method === 'GET' && pathname === '/') {
+        await renderHome(req, res, parsedUrl.query);
         return;
     }
 
-    if (req.method === 'POST' && pathname === '/delete') {
-        await handleDelete(req, res);
+    const boardMatch = pathname.match(/^\/b\/([a-z0-9-]+)(\/feed\.xml|\/rss\.xml|\/feed\.json)?$/);
+    if (boardMatch && (req.method === 'GET' || (req.method === 'HEAD' && boardMatch[2]))) {
+        await handleBoardRoute(req, res, boardMatch[1], boardMatch[2], parsedUrl.query);
         return;
     }
 
-    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end('404 Not Found');
-}
-
-async function renderHome(res, query) {
-    const searchRaw = typeof query?.q === 'string' ? query.q.trim() : '';
-    const { clause: searchClause, params: searchParams, term: searchTerm } = buildSearchClause(searchRaw);
-
-    const totalRow = await dbGet(
-        `SELECT COUNT(*) AS count FROM messages ${searchClause}`,
-        searchParams
-    );
-    const totalMessages = totalRow?.count ? Number(totalRow.count) : 0;
-    const totalPages = Math.max(1, Math.min(MAX_PAGES, Math.ceil(Math.max(totalMessages, 1) / PAGE_SIZE)));
-    const requestedPage = parseInt(query?.page, 10);
-    let currentPage = Number.isNaN(requestedPage) || requestedPage < 1 ? 1 : requestedPage;
-    if (currentPage > totalPages) {
-        currentPage = totalPages;
-    }
-
-    const offset = (currentPage - 1) * PAGE_SIZE;
-    const listParams = searchParams.slice();
-    listParams.push(PAGE_SIZE, offset);
-    const messages = await dbAll(
-        `SELECT id, content, created_at FROM messages ${searchClause} ORDER BY datetime(created_at) DESC, id DESC LIMIT ? OFFSET ?`,
-        listParams
-    );
-
-    const searchValueAttr = escapeAttribute(searchTerm);
-    const searchValueHtml = escapeHtml(searchTerm);
-
-    const listHtml = messages
-        .map(({ id, content, created_at }) => {
-            const safeMarkdown = escapeAttribute(content);
-            const fallbackHtml = escapeHtml(content);
-            const displayTime = formatDisplayTime(created_at);
-            return `
-                <li class="rounded-2xl border border-slate-200 bg-white/95 p-5 shadow-sm shadow-slate-100/60 transition hover:-translate-y-0.5 hover:shadow-lg dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
-                    <div class="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between sm:gap-6">
-                        <div class="flex-1 min-w-0 space-y-3">
-                            <p class="text-xs font-medium text-slate-400 dark:text-slate-500">${displayTime}</p>
-                            <div class="message-content prose prose-slate max-w-none text-sm dark:prose-invert" data-markdown="${safeMarkdown}">${fallbackHtml}</div>
-                        </div>
-                        <form action="/delete" method="post" class="flex shrink-0 items-center justify-end sm:self-start">
-                            <input type="hidden" name="id" value="${id}">
-                            <input type="hidden" name="page" value="${currentPage}">
-                            ${searchTerm ? `<input type="hidden" name="q" value="${searchValueAttr}">` : ''}
-                            <button type="submit" class="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-600 transition hover:bg-rose-100 hover:text-rose-700 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200 dark:hover:bg-rose-500/20" data-i18n="deleteButton">删除</button>
-                        </form>
-                    </div>
-                </li>
-            `;
-        })
-        .join('');
-
-    const listItems = listHtml || (searchTerm
-        ? `
-            <li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-i18n="emptySearch" data-term="${searchValueAttr}">
-                没有找到包含 “${searchValueHtml}” 的留言。
-            </li>
-        `
-        : `
-            <li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-i18n="emptyDefault">
-                还没有留言，快来留下第一条消息吧～
-            </li>
-        `);
-
-    const pagination = buildPagination(currentPage, totalPages, searchTerm);
-
-    const html = `
-        <!DOCTYPE html>
-        <html lang="zh-CN">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1">
-            <title>简易留言板</title>
-            <script>
-                (function() {
-                    try {
-                        const storedTheme = localStorage.getItem('theme');
-                        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-                        if (storedTheme === 'dark' || (!storedTheme && prefersDark)) {
-                            document.documentElement.classList.add('dark');
-                        }
-                    } catch (error) {
-                        // 忽略访问本地存储失败的情况
-                    }
-                })();
-            </script>
-            <script src="https://cdn.tailwindcss.com?plugins=typography"></script>
-            <script>
-                tailwind.config = {
-                    darkMode: 'class',
-                    theme: {
-                        extend: {
-                            fontFamily: {
-                                sans: ['Inter', 'system-ui', 'sans-serif'],
-                                mono: ['JetBrains Mono', 'monospace']
-                            }
-                        }
-                    }
-                };
-            </script>
-            <style>
-                :root {
-                    color-scheme: light;
-                }
-
-                .dark {
-                    color-scheme: dark;
-                }
-
-                .code-block-wrapper pre,
-                .code-block-wrapper pre code {
-                    background: transparent !important;
-                }
-
-                .code-block-wrapper pre {
-                    font-family: 'JetBrains Mono', ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace;
-                }
-            </style>
-            <link rel="preconnect" href="https://fonts.bunny.net">
-            <link href="https://fonts.bunny.net/css?family=inter:400,500,600|jetbrains-mono:400,500" rel="stylesheet" />
-            <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github.min.css" referrerpolicy="no-referrer" />
-        </head>
-        <body class="min-h-screen bg-slate-100 font-sans text-slate-900 transition-colors duration-300 dark:bg-slate-950 dark:text-slate-100">
-            <main class="mx-auto w-full max-w-5xl px-4 py-8 sm:px-6 lg:px-8 xl:px-10">
-                <div class="flex flex-col gap-6">
-                <section class="rounded-3xl border border-slate-200 bg-white/85 p-6 shadow-lg shadow-slate-200/50 backdrop-blur transition-colors duration-300 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
-                    <div class="mb-6 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
-                        <div>
-                            <h1 class="text-2xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="headerTitle">简易留言板</h1>
-                            <p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="headerSubtitle" data-max="${MAX_MESSAGES}">支持 Markdown 留言，按 Ctrl + Enter 快速提交。最多保留 ${MAX_MESSAGES} 条。</p>
-                        </div>
-                        <div class="flex items-center gap-3 self-end sm:self-auto">
-                            <span class="inline-flex items-center rounded-full bg-slate-100 px-3 py-1 text-xs font-medium text-slate-600 dark:bg-slate-800/80 dark:text-slate-300" data-i18n="${searchTerm ? 'statsMatches' : 'statsTotal'}" data-total="${totalMessages}">${searchTerm ? `共 ${totalMessages} 条匹配` : `共 ${totalMessages} 条留言`}</span>
-                            <button type="button" id="language-toggle" class="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-medium text-slate-600 shadow-sm shadow-slate-200 transition hover:-translate-y-0.5 hover:border-indigo-300 hover:text-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-900/40 dark:hover:border-indigo-400 dark:hover:text-indigo-200">
-                                <span aria-hidden="true">🌐</span>
-                                <span class="language-toggle-label" data-i18n="languageZh">中文</span>
-                            </button>
-                            <button type="button" id="theme-toggle" class="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-medium text-slate-600 shadow-sm shadow-slate-200 transition hover:-translate-y-0.5 hover:border-indigo-300 hover:text-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-900/40 dark:hover:border-indigo-400 dark:hover:text-indigo-200">
-                                <span aria-hidden="true">☀️</span>
-                                <span class="theme-toggle-label">亮色</span>
-                            </button>
-                        </div>
-                    </div>
-                    <form action="/submit" method="post" class="space-y-3">
-                        <div class="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-200 bg-slate-50/80 px-3 py-2 shadow-inner shadow-slate-200 dark:border-slate-700 dark:bg-slate-900/60 dark:shadow-slate-900/30">
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="heading-1" data-i18n="toolbarHeading1">H1</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="heading-2" data-i18n="toolbarHeading2">H2</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="bold" data-i18n="toolbarBold">B</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="italic" data-i18n="toolbarItalic">I</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="list-ul" data-i18n="toolbarListUl">• 列表</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="list-ol" data-i18n="toolbarListOl">1. 列表</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="code" data-i18n="toolbarInlineCode">内联代码</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="code-block" data-i18n="toolbarCodeBlock">代码块</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="quote" data-i18n="toolbarQuote">引用</button>
-                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="link" data-i18n="toolbarLink">链接</button>
-                        </div>
-                        <textarea id="message" name="message" rows="5" required placeholder="试试使用 **Markdown** 语法，支持代码块、列表等格式。" class="block w-full rounded-2xl border border-slate-200 bg-slate-50/80 px-4 py-3 text-sm leading-6 text-slate-800 shadow-inner shadow-slate-200 transition focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-100 dark:shadow-slate-900/30" data-i18n-placeholder="textareaPlaceholder"></textarea>
-                        <div class="flex justify-end">
-                            <button type="submit" class="inline-flex items-center justify-center rounded-xl bg-indigo-600 px-5 py-2 text-sm font-semibold text-white shadow-sm shadow-indigo-300 transition hover:-translate-y-0.5 hover:bg-indigo-500 hover:shadow-md focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="submitButton">提交留言</button>
-                        </div>
-                    </form>
-                </section>
-                        <section class="rounded-3xl border border-slate-200 bg-white/85 p-5 shadow-sm shadow-slate-200/40 transition-colors dark:border-slate-800 dark:bg-slate-900/70 dark:shadow-slate-900/40">
-                    <div class="mb-3 flex flex-wrap items-center justify-between gap-2">
-                        <div class="flex flex-wrap items-center gap-2">
-                            <h2 class="text-sm font-semibold text-slate-700 dark:text-slate-200" data-i18n="searchTitle">搜索留言</h2>
-                            <span class="text-xs font-normal text-slate-400 dark:text-slate-500" data-i18n="searchSubtitle">支持模糊匹配并保留分页</span>
-                        </div>
-                        ${searchTerm ? `<span class="text-xs font-medium text-indigo-500 dark:text-indigo-300" data-i18n="searchFilter" data-term="${searchValueAttr}">已筛选：${searchValueHtml}</span>` : ''}
-                    </div>
-                    <form action="/" method="get" class="flex flex-col gap-3 sm:flex-row sm:items-center sm:gap-3">
-                        <div class="flex flex-1 items-center gap-2 rounded-2xl border border-slate-200 bg-white px-4 py-2 text-sm text-slate-600 shadow-inner shadow-slate-200 transition focus-within:border-indigo-300 focus-within:ring-2 focus-within:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-100 dark:shadow-slate-900/30 dark:focus-within:border-indigo-400 dark:focus-within:ring-indigo-400/30">
-                            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="h-4 w-4 opacity-70">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="m21 21-4.35-4.35m0 0a7.5 7.5 0 1 0-10.607-10.607 7.5 7.5 0 0 0 10.607 10.607Z" />
-                            </svg>
-                            <input type="search" name="q" value="${searchValueAttr}" placeholder="输入关键字" class="flex-1 bg-transparent text-sm text-slate-600 placeholder:text-slate-400 focus:outline-none dark:text-slate-100 dark:placeholder:text-slate-500" data-i18n-placeholder="searchPlaceholder">
-                        </div>
-                        <div class="flex items-center gap-2">
-                            <button type="submit" class="inline-flex items-center justify-center rounded-xl bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm shadow-indigo-300 transition hover:-translate-y-0.5 hover:bg-indigo-500 hover:shadow-md focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="searchButton">搜索</button>
-                            ${searchTerm ? `<a href="/" class="text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" data-i18n="searchClear">清除</a>` : ''}
-                        </div>
-                    </form>
-                </section>
-                <section class="space-y-6 transition-colors">
-                    <ul class="space-y-4">
-                        ${listItems}
-                    </ul>
-                    ${pagination}
-                </section>
-                </div>
-            </main>
-            <script src="https://cdn.jsdelivr.net/npm/marked/marked.min.js"></script>
-            <script src="https://cdn.jsdelivr.net/npm/dompurify@3.0.6/dist/purify.min.js"></script>
-            <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js" referrerpolicy="no-referrer"></script>
-            <script>
-const LANGUAGE_KEY = 'lang';
-let currentLanguage = 'zh';
-const HTML_PARAM_KEYS = new Set(['term']);
-
-const LANGUAGE_OPTIONS = {
-    zh: { label: '中文', locale: 'zh-CN' },
-    en: { label: 'English', locale: 'en' }
-};
-
-const translations = {
-                    zh: {
-                        headerTitle: '简易留言板',
-                        headerSubtitle: function ({ max }) { return '支持 Markdown 留言，按 Ctrl + Enter 快速提交。最多保留 ' + max + ' 条。'; },
-                        statsTotal: function ({ total }) { return '共 ' + total + ' 条留言'; },
-                        statsMatches: function ({ total }) { return '共 ' + total + ' 条匹配'; },
-                        submitButton: '提交留言',
-                        toolbarHeading1: 'H1',
-                        toolbarHeading2: 'H2',
-                        toolbarBold: 'B',
-                        toolbarItalic: 'I',
-                        toolbarListUl: '• 列表',
-                        toolbarListOl: '1. 列表',
-                        toolbarInlineCode: '内联代码',
-                        toolbarCodeBlock: '代码块',
-                        toolbarQuote: '引用',
-                        toolbarLink: '链接',
-                        textareaPlaceholder: '试试使用 **Markdown** 语法，支持代码块、列表等格式。',
-                        searchTitle: '搜索留言',
-                        searchSubtitle: '支持模糊匹配并保留分页',
-                        searchButton: '搜索',
-                        searchClear: '清除',
-                        searchPlaceholder: '输入关键字',
-                        searchFilter: function ({ term }) { return '已筛选：' + term; },
-                        languageZh: '中文',
-                        languageEn: 'English',
-                        themeLight: '亮色',
-                        themeDark: '暗色',
-                        paginationLabel: function ({ current, totalpages }) { return '第 ' + current + ' / ' + totalpages + ' 页'; },
-                        paginationPrev: '上一页',
-                        paginationNext: '下一页',
-                        emptyDefault: '还没有留言，快来留下第一条消息吧～',
-                        emptySearch: function ({ term }) { return '没有找到包含 “' + term + '” 的留言。'; },
-                        copyButton: '复制',
-                        copySuccess: '已复制',
-                        copyFailure: '复制失败',
-                        deleteButton: '删除',
-                        codeFallback: '代码'
-                    },
-                    en: {
-                        headerTitle: 'Simple Message Board',
-                        headerSubtitle: function ({ max }) { return 'Supports Markdown posts. Press Ctrl + Enter to submit. Keeps up to ' + max + ' entries.'; },
-                        statsTotal: function ({ total }) { return 'Total ' + total + ' messages'; },
-                        statsMatches: function ({ total }) { return total + ' result' + (total == 1 ? '' : 's') + ' found'; },
-                        submitButton: 'Submit Message',
-                        toolbarHeading1: 'H1',
-                        toolbarHeading2: 'H2',
-                        toolbarBold: 'Bold',
-                        toolbarItalic: 'Italic',
-                        toolbarListUl: '• List',
-                        toolbarListOl: '1. List',
-                        toolbarInlineCode: 'Inline Code',
-                        toolbarCodeBlock: 'Code Block',
-                        toolbarQuote: 'Quote',
-                        toolbarLink: 'Link',
-                        textareaPlaceholder: 'Try **Markdown** syntax — code blocks, lists, etc.',
-                        searchTitle: 'Search Messages',
-                        searchSubtitle: 'Supports fuzzy matching and keeps pagination',
-                        searchButton: 'Search',
-                        searchClear: 'Clear',
-                        searchPlaceholder: 'Enter keywords',
-                        searchFilter: function ({ term }) { return 'Filter: ' + term; },
-                        languageZh: 'Chinese',
-                        languageEn: 'English',
-                        themeLight: 'Light',
-                        themeDark: 'Dark',
-                        paginationLabel: function ({ current, totalpages }) { return 'Page ' + current + ' / ' + totalpages; },
-                        paginationPrev: 'Previous',
-                        paginationNext: 'Next',
-                        emptyDefault: 'No messages yet — be the first!',
-                        emptySearch: function ({ term }) { return 'No messages found containing “' + term + '”.'; },
-                        copyButton: 'Copy',
-                        copySuccess: 'Copied',
-                        copyFailure: 'Copy failed',
-                        deleteButton: 'Delete',
-                        codeFallback: 'Code'
-                    }
-                };
-
-                function decodeEntities(value = '') {
-                    const textarea = document.createElement('textarea');
-                    textarea.innerHTML = value;
-                    return textarea.value;
-                }
-
-                function getParams(el) {
-                    const params = {};
-                    for (const [name, raw] of Object.entries(el.dataset)) {
-                        if (name.startsWith('i18n')) {
-                            continue;
-                        }
-                        let value = raw;
-                        if (HTML_PARAM_KEYS.has(name)) {
-                            value = decodeEntities(value);
-                        }
-                        const numeric = Number(value);
-                        params[name] = Number.isFinite(numeric) && value !== '' ? numeric : value;
-                    }
-                    return params;
-                }
-
-                function t(key, vars = {}, lang = currentLanguage) {
-                    const dict = translations[lang] || translations.zh;
-                    const value = dict[key] ?? translations.zh[key];
-                    if (typeof value === 'function') {
-                        return value(vars);
-                    }
-                    return value !== undefined ? value : key;
-                }
-
-                function applyLanguage(mode) {
-                    currentLanguage = mode;
-                    const languageOption = LANGUAGE_OPTIONS[mode] || LANGUAGE_OPTIONS.zh;
-                    document.documentElement.setAttribute('lang', languageOption.locale);
-                    const themeMode = document.documentElement.classList.contains('dark') ? 'dark' : 'light';
-
-                    document.querySelectorAll('[data-i18n]').forEach((element) => {
-                        const key = element.dataset.i18n;
-                        if (!key) {
-                            return;
-                        }
-                        const params = getParams(element);
-                        let value = t(key, params, mode);
-                        if (element.dataset.uppercase === 'true' && typeof value === 'string') {
-                            value = value.toUpperCase();
-                        }
-                        element.textContent = value;
-                    });
-
-                    document.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
-                        const key = element.dataset.i18nPlaceholder;
-                        if (!key) {
-                            return;
-                        }
-                        const params = getParams(element);
-                        element.setAttribute('placeholder', t(key, params, mode));
-                    });
-
-                    document.title = t('headerTitle', {}, mode);
-                    updateThemeToggle(themeMode);
-                    updateLanguageToggle(mode);
-                }
-
-                function initializeLanguage() {
-                    const toggle = document.getElementById('language-toggle');
-                    let stored = null;
-                    try {
-                        stored = localStorage.getItem(LANGUAGE_KEY);
-                    } catch (error) {
-                        stored = null;
-                    }
-                    const initial = stored && LANGUAGE_OPTIONS[stored] ? stored : 'zh';
-                    applyLanguage(initial);
-                    if (stored !== initial) {
-                        persistLanguage(initial);
-                    }
-
-                    toggle?.addEventListener('click', () => {
-                        const next = currentLanguage === 'zh' ? 'en' : 'zh';
-                        persistLanguage(next);
-                        applyLanguage(next);
-                    });
-                }
+    if ((req.method === 'GET' || req.method === 'HEAD') && Object.prototype.hasOwnProperty.call(FEED_FORMATS, pathname)) {
+        await handleFeed(req, res, FEED_FORMATS[pathname], parsedUrl.query);
+        return;
+    }
 
-                function updateLanguageToggle(mode) {
-                    const toggle = document.getElementById('language-toggle');
-                    if (!toggle) {
-                        return;
-                    }
-                    const label = toggle.querySelector('.language-toggle-label');
-                    const option = LANGUAGE_OPTIONS[mode] || LANGUAGE_OPTIONS.zh;
-                    if (label) {
-                        label.textContent = option.label;
-                    }
-                }
+    if (req.method === 'GET' && (pathname === '/login' || pathname === '/register')) {
+        await renderAuth(req, res, pathname.slice(1), parsedUrl.query);
+        return;
+    }
 
-                function persistLanguage(value) {
-                    try {
-                        localStorage.setItem(LANGUAGE_KEY, value);
-                    } catch (error) {
-                        // ignore
-                    }
-                }
+    if (req.method === 'POST' && pathname === '/login') {
+        await handleLogin(req, res);
+        return;
+    }
 
-document.addEventListener('DOMContentLoaded', () => {
-                    initializeLanguage();
-                    initializeTheme();
-
-                    if (window.marked) {
-                        marked.setOptions({
-                            gfm: true,
-                            breaks: true,
-                            smartypants: true,
-                            highlight: (code, language) => {
-                                if (window.hljs) {
-                                    if (language && hljs.getLanguage(language)) {
-                                        return hljs.highlight(code, { language }).value;
-                                    }
-                                    return hljs.highlightAuto(code).value;
-                                }
-                                return code;
-                            }
-                        });
-                    }
+    if (req.method === 'POST' && pathname === '/register') {
+        await handleRegister(req, res);
+        return;
+    }
 
-                    const blocks = document.querySelectorAll('[data-markdown]');
-                    blocks.forEach((element) => {
-                        const markdownText = element.getAttribute('data-markdown') || '';
-                        if (window.marked) {
-                            const rawHtml = marked.parse(markdownText);
-                            const safeHtml = window.DOMPurify ? DOMPurify.sanitize(rawHtml) : rawHtml;
-                            element.innerHTML = safeHtml;
-                        } else {
-                            element.textContent = markdownText;
-                        }
-                    });
-
-                    if (window.hljs) {
-                        const codeBlocks = document.querySelectorAll('.message-content pre code');
-                        codeBlocks.forEach((block) => window.hljs.highlightElement(block));
-                    }
+    if (req.method === 'POST' && pathname === '/logout') {
+        await handleLogout(req, res);
+        return;
+    }
 
-                    enhanceCodeBlocks();
-
-                    const textarea = document.getElementById('message');
-                    if (textarea) {
-                        textarea.addEventListener('keydown', (event) => {
-                            if (event.key === 'Enter' && event.ctrlKey) {
-                                event.preventDefault();
-                                textarea.form?.submit();
-                            }
-                        });
-
-                        const toolbarButtons = document.querySelectorAll('.toolbar-btn');
-                        toolbarButtons.forEach((button) => {
-                            button.addEventListener('click', (event) => {
-                                event.preventDefault();
-                                const action = button.getAttribute('data-action');
-                                applyMarkdown(textarea, action);
-                            });
-                        });
-                    }
-                });
+    if (req.method === 'POST' && pathname === '/submit') {
+        await handleSubmit(req, res);
+        return;
+    }
 
-                function applyMarkdown(textarea, action) {
-                    if (!action) {
-                        return;
-                    }
+    if (req.method === 'POST' && pathname === '/delete') {
+        await handleDelete(req, res);
+        return;
+    }
 
-                    textarea.focus();
+    if (req.method === 'POST' && pathname === '/restore') {
+        await handleRestore(req, res);
+        return;
+    }
 
-                    let start = textarea.selectionStart;
-                    let end = textarea.selectionEnd;
-                    if (start === null || start === undefined || Number.isNaN(start)) {
-                        start = textarea.value.length;
-                    }
-                    if (end === null || end === undefined || Number.isNaN(end)) {
-                        end = start;
-                    }
+    if (req.method === 'POST' && pathname === '/react') {
+        await handleReact(req, res);
+        return;
+    }
 
-                    const value = textarea.value;
-                    const selected = value.slice(start, end);
-                    let replacement = selected;
-                    let innerStart = 0;
-                    let innerEnd = replacement.length;
-                    const tick = String.fromCharCode(96);
-                    const fence = tick.repeat(3);
-
-                    const selectAll = function () {
-                        innerStart = 0;
-                        innerEnd = replacement.length;
-                    };
-
-                    switch (action) {
-                        case "heading-1": {
-                            const text = selected || "标题";
-                            replacement = "# " + text;
-                            innerStart = 2;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        case "heading-2": {
-                            const text = selected || "小标题";
-                            replacement = "## " + text;
-                            innerStart = 3;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        case "bold": {
-                            const text = selected || "文本";
-                            replacement = "**" + text + "**";
-                            innerStart = 2;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        case "italic": {
-                            const text = selected || "文本";
-                            replacement = "*" + text + "*";
-                            innerStart = 1;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        case "list-ul": {
-                            const source = selected || "列表项";
-                            const lines = source.split(/\\r?\\n/);
-                            replacement = lines.map((line) => "- " + (line || "列表项")).join('\\\\n');
-                            selectAll();
-                            break;
-                        }
-                        case "list-ol": {
-                            const source = selected || "列表项";
-                            const lines = source.split(/\\r?\\n/);
-                            replacement = lines.map((line, index) => (index + 1) + ". " + (line || "列表项")).join('\\\\n');
-                            selectAll();
-                            break;
-                        }
-                        case "code": {
-                            const text = selected || "代码";
-                            replacement = tick + text + tick;
-                            innerStart = 1;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        case "code-block": {
-                            const text = selected || "代码";
-                            replacement = fence + '\\\\n' + text + '\\\\n' + fence + '\\\\n';
-                            innerStart = fence.length + 1;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        case "quote": {
-                            const source = selected || "引用内容";
-                            const lines = source.split(/\\r?\\n/);
-                            replacement = lines.map((line) => "> " + (line || "引用内容")).join('\\\\n');
-                            selectAll();
-                            break;
-                        }
-                        case "link": {
-                            const text = selected || "链接文本";
-                            replacement = "[" + text + "](https://example.com)";
-                            innerStart = 1;
-                            innerEnd = innerStart + text.length;
-                            break;
-                        }
-                        default:
-                            return;
-                    }
+    if (req.method === 'POST' && pathname === '/protect') {
+        await handleProtect(req, res);
+        return;
+    }
 
-                    const before = value.slice(0, start);
-                    const after = value.slice(end);
-                    textarea.value = before + replacement + after;
+    if (req.method === 'POST' && pathname === '/pin') {
+        await handlePin(req, res);
+        return;
+    }
 
-                    const offset = before.length;
-                    textarea.setSelectionRange(offset + innerStart, offset + innerEnd);
-                    textarea.focus();
-                    textarea.dispatchEvent(new Event('input'));
-                }
+    if (req.method === 'POST' && pathname === '/purge') {
+        await handlePurge(req, res);
+        return;
+    }
 
-                function enhanceCodeBlocks() {
-                    const blocks = document.querySelectorAll('.message-content pre');
-                    blocks.forEach((pre) => {
-                        if (pre.dataset.enhanced === 'true') {
-                            return;
-                        }
-
-                        const codeElement = pre.querySelector('code') || pre;
-                        if (!codeElement) {
-                            return;
-                        }
-
-                        pre.dataset.enhanced = 'true';
-
-                        const wrapper = document.createElement('div');
-                        wrapper.className = 'code-block-wrapper group overflow-hidden rounded-2xl border border-slate-200 bg-slate-50 text-slate-800 shadow-md shadow-slate-200/60 transition-colors dark:border-slate-800 dark:bg-slate-900 dark:text-slate-100 dark:shadow-slate-900/50';
-
-                        const header = document.createElement('div');
-                        header.className = 'flex items-center justify-between border-b border-slate-200/80 bg-slate-100/90 px-4 py-2 text-[11px] font-semibold uppercase tracking-[0.2em] text-slate-500 transition-colors dark:border-white/10 dark:bg-slate-900/70 dark:text-slate-200';
-
-                        const title = document.createElement('span');
-                        const languageMatch = (codeElement.className || '').match(/language-([\w-]+)/i);
-                        if (languageMatch && languageMatch[1]) {
-                            title.textContent = languageMatch[1].toUpperCase();
-                        } else {
-                            title.dataset.i18n = 'codeFallback';
-                            title.dataset.uppercase = 'true';
-                            title.textContent = t('codeFallback').toUpperCase();
-                        }
-                        header.appendChild(title);
-
-                        const actions = document.createElement('div');
-                        actions.className = 'flex items-center gap-2';
-
-                        const copyButton = document.createElement('button');
-                        copyButton.type = 'button';
-                        copyButton.className = 'inline-flex items-center gap-1 rounded-lg border border-slate-300 bg-white/40 px-2.5 py-1 text-[11px] font-medium tracking-wide text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-400 dark:border-slate-700 dark:bg-slate-800/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:text-indigo-200';
-                        copyButton.dataset.i18n = 'copyButton';
-                        copyButton.textContent = t('copyButton');
-
-                        copyButton.addEventListener('click', () => {
-                            const originalText = codeElement.innerText;
-                            const reset = () => {
-                                copyButton.textContent = t('copyButton');
-                            };
-
-                            const finish = (messageKey) => {
-                                copyButton.textContent = t(messageKey);
-                                setTimeout(reset, 1600);
-                            };
-
-                            if (navigator.clipboard && navigator.clipboard.writeText) {
-                                navigator.clipboard.writeText(originalText).then(() => {
-                                    finish('copySuccess');
-                                }).catch(() => {
-                                    fallbackCopy(originalText, finish);
-                                });
-                            } else {
-                                fallbackCopy(originalText, finish);
-                            }
-                        });
-
-                        actions.appendChild(copyButton);
-                        header.appendChild(actions);
-
-                        const body = document.createElement('div');
-                        body.className = 'relative bg-white/70 transition-colors dark:bg-slate-950/40';
-
-                        pre.classList.add('m-0', 'max-h-[60vh]', 'overflow-auto', 'bg-transparent', 'p-4', 'text-sm', 'leading-6', 'text-slate-800', 'dark:text-slate-100');
-
-                        const parent = pre.parentNode;
-                        if (parent) {
-                            wrapper.appendChild(header);
-                            parent.replaceChild(wrapper, pre);
-                            body.appendChild(pre);
-                            wrapper.appendChild(body);
-                            pre.dataset.enhanced = 'true';
-                        }
-
-                        function fallbackCopy(text, onComplete) {
-                            const textarea = document.createElement('textarea');
-                            textarea.value = text;
-                            textarea.setAttribute('readonly', '');
-                            textarea.style.position = 'absolute';
-                            textarea.style.left = '-9999px';
-                            document.body.appendChild(textarea);
-                            textarea.select();
-                            try {
-                                document.execCommand('copy');
-                                onComplete('copySuccess');
-                            } catch (error) {
-                                onComplete('copyFailure');
-                            } finally {
-                                document.body.removeChild(textarea);
-                            }
-                        }
-                    });
-                }
+    if (req.method === 'GET' && pathname === '/inbox') {
+        await renderInbox(req, res, parsedUrl.query);
+        return;
+    }
 
-                function initializeTheme() {
-                    const root = document.documentElement;
-                    const themeToggle = document.getElementById('theme-toggle');
-                    const media = window.matchMedia('(prefers-color-scheme: dark)');
+    if (req.method === 'POST' && pathname === '/inbox/read') {
+        await handleInboxRead(req, res);
+        return;
+    }
 
-                    let stored = null;
-                    try {
-                        stored = localStorage.getItem('theme');
-                    } catch (error) {
-                        stored = null;
-                    }
+    if (req.method === 'GET' && pathname === '/trash') {
+        await renderTrash(req, res, parsedUrl.query);
+        return;
+    }
 
-                    const preferred = media.matches ? 'dark' : 'light';
-                    const initial = stored === 'dark' || stored === 'light' ? stored : preferred;
+    if (req.method === 'POST' && pathname === '/edit') {
+        await handleEdit(req, res);
+        return;
+    }
 
-                    applyTheme(initial);
+    if (req.method === 'GET' && pathname === '/export') {
+        await handleExport(req, res, parsedUrl.query);
+        return;
+    }
 
-                    if (!stored) {
-                        persistTheme(initial);
-                    }
+    if (req.method === 'POST' && pathname === '/import') {
+        await handleImport(req, res);
+        return;
+    }
 
-                    themeToggle?.addEventListener('click', () => {
-                        const nextTheme = root.classList.contains('dark') ? 'light' : 'dark';
-                        persistTheme(nextTheme);
-                        applyTheme(nextTheme);
-                    });
-
-                    media.addEventListener('change', (event) => {
-                        let saved = null;
-                        try {
-                            saved = localStorage.getItem('theme');
-                        } catch (error) {
-                            saved = null;
-                        }
-                        if (saved === 'light' || saved === 'dark') {
-                            return;
-                        }
-                        applyTheme(event.matches ? 'dark' : 'light');
-                    });
-                }
+    if (req.method === 'GET' && pathname === '/admin/boards') {
+        await renderBoards(req, res, parsedUrl.query);
+        return;
+    }
 
-                function applyTheme(mode) {
-                    const root = document.documentElement;
-                    root.classList.toggle('dark', mode === 'dark');
-                    updateThemeToggle(mode);
-                }
+    const boardActionMatch = pathname.match(/^\/admin\/boards\/([a-z]+)$/);
+    if (req.method === 'POST' && boardActionMatch && Object.prototype.hasOwnProperty.call(BOARD_ACTIONS, boardActionMatch[1])) {
+        await handleBoardAction(req, res, BOARD_ACTIONS[boardActionMatch[1]]);
+        return;
+    }
 
-                function updateThemeToggle(mode) {
-                    const button = document.getElementById('theme-toggle');
-                    if (!button) {
-                        return;
-                    }
-                    const icon = button.querySelector('span[aria-hidden="true"]');
-                    const label = button.querySelector('.theme-toggle-label');
-                    if (icon) {
-                        icon.textContent = mode === 'dark' ? '🌙' : '☀️';
-                    }
-                    if (label) {
-                        label.textContent = mode === 'dark' ? t('themeDark') : t('themeLight');
-                    }
-                }
+    if (req.method === 'GET' && pathname === '/admin/webhooks') {
+        await renderWebhooks(req, res, parsedUrl.query);
+        return;
+    }
 
-                function persistTheme(value) {
-                    try {
-                        localStorage.setItem('theme', value);
-                    } catch (error) {
-                        // ignore storage errors
-                    }
-                }
+    const webhookActionMatch = pathname.match(/^\/admin\/webhooks\/([a-z]+)$/);
+    if (req.method === 'POST' && webhookActionMatch && Object.prototype.hasOwnProperty.call(WEBHOOK_ACTIONS, webhookActionMatch[1])) {
+        await handleWebhookAction(req, res, WEBHOOK_ACTIONS[webhookActionMatch[1]]);
+        return;
+    }
 
-            </script>
-        </body>
-        </html>
-    `;
+    const revisionsMatch = pathname.match(/^\/messages\/(\d+)\/revisions$/);
+    if (req.method === 'GET' && revisionsMatch) {
+        await renderRevisions(req, res, Number(revisionsMatch[1]));
+        return;
+    }
 
-    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-    res.end(html);
-}
+    if ((req.method === 'GET' || req.method === 'HEAD') && pathname.startsWith('/static/')) {
+        serveStatic(req, res, pathname.slice('/static/'.length), parsedUrl.query);
+        return;
+    }
 
-async function handleSubmit(req, res) {
-    const body = await readBody(req);
-    const { message } = querystring.parse(body);
-    const content = typeof message === 'string' ? message.trim() : '';
+    const uploadMatch = pathname.match(/^\/uploads\/([^/]+)$/);
+    if ((req.method === 'GET' || req.method === 'HEAD') && uploadMatch) {
+        await serveAttachment(req, res, uploadMatch[1]);
+        return;
+    }
 
-    if (!content) {
-        redirect(res, '/');
+    const messageMatch = pathname.match(/^\/messages\/(\d+)$/);
+    if (req.method === 'GET' && messageMatch) {
+        const target = await findMessagePath(Number(messageMatch[1]));
+        if (target) {
+            redirect(res, target);
+        } else {
+            sendNoticePage(res, 404, 'messageNotFound');
+        }
         return;
     }
 
-    const createdAt = new Date().toISOString();
-    await dbRun('INSERT INTO messages (content, created_at) VALUES (?, ?)', [content, createdAt]);
+    const cardMatch = pathname.match(/^\/messages\/(\d+)\/card$/);
+    if (req.method === 'GET' && cardMatch) {
+        await renderCardFragment(req, res, Number(cardMatch[1]), parsedUrl.query);
+        return;
+    }
 
-    const totalRow = await dbGet('SELECT COUNT(*) AS count FROM messages');
-    const totalMessages = totalRow?.count ? Number(totalRow.count) : 0;
-    if (totalMessages > MAX_MESSAGES) {
-        const overflow = totalMessages - MAX_MESSAGES;
-        if (overflow > 0) {
-            await dbRun(
-                'DELETE FROM messages WHERE id IN (SELECT id FROM messages ORDER BY datetime(created_at) ASC, id ASC LIMIT ?)',
-                [overflow]
-            );
-        }
+    if (req.method === 'GET' && pathname === '/events') {
+        handleEventStream(req, res);
+        return;
     }
 
-    redirect(res, '/');
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('404 Not Found');
 }
 
-async function handleDelete(req, res) {
-    const body = await readBody(req);
-    const { id, page, q } = querystring.parse(body);
-    const messageId = parseInt(id, 10);
-    let targetPage = parseInt(page, 10);
-    const searchTerm = typeof q === 'string' ? q.trim() : '';
-
-    if (!Number.isNaN(messageId)) {
-        await dbRun('DELETE FROM messages WHERE id = ?', [messageId]);
-    }
+// 首页列表与订阅源共用的查询。未搜索时只列顶层留言，上一页 / 下一页用 (created_ms, id) 游标：
+// before 取更早的一页，after 取更新的一页，有新留言时后面的页不会错位；页码只用于直接跳页，当前页码由更新的主题数推算。
+// 搜索或按标签筛选时平铺所有匹配的留言和回复，按相关度排序，仍按页码翻页；按回应数等其他顺序排列时同样按页码翻页。
+async function loadMessageList(search, { page, before, after } = {}, orderBy = search.orderBy) {
+    const { clause: searchClause, params: searchParams } = search;
+    const filtered = Boolean(search.term || search.tag);
 
-    const totalRow = await dbGet('SELECT COUNT(*) AS count FROM messages');
+    const listClause = filtered ? searchClause : `${searchClause} AND messages.parent_id IS NULL`;
+    const totalRow = await dbGet(
+        `SELECT COUNT(*) AS count FROM messages ${searchClause}`,
+        searchParams
+    );
     const totalMessages = totalRow?.count ? Number(totalRow.count) : 0;
-    const totalPages = Math.max(1, Math.min(MAX_PAGES, Math.ceil(totalMessages / PAGE_SIZE)));
+    const listCountRow = filtered
+        ? totalRow
+        : await dbGet(`SELECT COUNT(*) AS count FROM messages ${listClause}`, searchParams);
+    const listTotal = listCountRow?.count ? Number(listCountRow.count) : 0;
+    const totalPages = Math.max(1, Math.ceil(listTotal / PAGE_SIZE));
+    let currentPage = Math.min(page >= 1 ? page : 1, totalPages);
+
+    const selectPage = (condition, params, order, offset = 0) => dbAll(
+        `SELECT ${MESSAGE_COLUMNS}${search.columns} FROM messages ${MESSAGE_JOINS} ${listClause}${condition ? ` AND ${condition}` : ''}
+         ${order} LIMIT ? OFFSET ?`,
+        [...searchParams, ...params, PAGE_SIZE, offset]
+    );
 
-    if (Number.isNaN(targetPage) || targetPage < 1) {
-        targetPage = 1;
-    }
-    if (targetPage > totalPages) {
-        targetPage = totalPages;
+    if (filtered || orderBy !== DEFAULT_ORDER) {
+        const messages = await selectPage('', [], orderBy, (currentPage - 1) * PAGE_SIZE);
+        return { messages, totalMessages, totalPages, currentPage, newerCursor: null, olderCursor: null };
     }
 
-    redirect(res, buildListPath(targetPage, searchTerm));
-}
-
-function buildListPath(page, searchTerm = '') {
-    const trimmed = searchTerm ? searchTerm : '';
-    if (page <= 1) {
-        if (!trimmed) {
-            return '/';
+    const beforeCursor = typeof before === 'string' ? decodeCursor(before) : null;
+    const afterCursor = !beforeCursor && typeof after === 'string' ? decodeCursor(after) : null;
+    let messages = null;
+    if (beforeCursor) {
+        messages = await selectPage(KEYSET_BEFORE, [beforeCursor.createdMs, beforeCursor.id], DEFAULT_ORDER);
+        if (!messages.length) {
+            // 游标已越过最早的留言（例如这些留言刚被删除），改为显示最后一页。
+            currentPage = totalPages;
+            messages = null;
         }
-        return `/?q=${encodeURIComponent(trimmed)}`;
+    } else if (afterCursor) {
+        const newer = await selectPage(KEYSET_AFTER, [afterCursor.createdMs, afterCursor.id], 'ORDER BY messages.created_ms ASC, messages.id ASC');
+        // 更新的留言不足一整页时直接回到第一页，避免第一页只显示零星几条。
+        messages = newer.length === PAGE_SIZE ? newer.reverse() : null;
     }
-    const base = `/?page=${page}`;
-    if (!trimmed) {
-        return base;
+    if (!messages) {
+        messages = await selectPage('', [], orderBy, (currentPage - 1) * PAGE_SIZE);
     }
-    return `${base}&q=${encodeURIComponent(trimmed)}`;
-}
 
-function buildPagination(currentPage, totalPages, searchTerm = '') {
-    if (totalPages <= 1) {
-        return '';
+    let newerCursor = null;
+    let olderCursor = null;
+    if (messages.length) {
+        const first = messages[0];
+        const last = messages[messages.length - 1];
+        const newerRow = await dbGet(
+            `SELECT COUNT(*) AS count FROM messages ${listClause} AND ${KEYSET_AFTER}`,
+            [...searchParams, first.created_ms, first.id]
+        );
+        const newerCount = Number(newerRow?.count) || 0;
+        const olderRow = await dbGet(
+            `SELECT 1 AS found FROM messages ${listClause} AND ${KEYSET_BEFORE} LIMIT 1`,
+            [...searchParams, last.created_ms, last.id]
+        );
+        currentPage = Math.min(totalPages, Math.ceil(newerCount / PAGE_SIZE) + 1);
+        newerCursor = newerCount ? encodeCursor(first) : null;
+        olderCursor = olderRow ? encodeCursor(last) : null;
     }
+    return { messages, totalMessages, totalPages, currentPage, newerCursor, olderCursor };
+}
 
-    const prevPage = currentPage > 1 ? currentPage - 1 : 1;
-    const nextPage = currentPage < totalPages ? currentPage + 1 : totalPages;
-
-    const buildHref = (page) => buildListPath(page, searchTerm);
-
-    const pageLinks = Array.from({ length: totalPages }, (_, index) => {
-        const page = index + 1;
-        const isActive = page === currentPage;
-        const baseClasses = 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium transition';
-        const activeClasses = 'bg-indigo-600 text-white shadow-sm shadow-indigo-300 dark:shadow-indigo-900/40';
-        const inactiveClasses = 'text-slate-600 hover:bg-slate-100 hover:text-indigo-600 dark:text-slate-300 dark:hover:bg-slate-800 dark:hover:text-indigo-300';
-        return `<a href="${buildHref(page)}" class="${baseClasses} ${isActive ? activeClasses : inactiveClasses}">${page}</a>`;
-    }).join('');
-
-    const prevClasses = currentPage === 1
-        ? 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium text-slate-400 bg-slate-100/70 cursor-not-allowed dark:text-slate-600 dark:bg-slate-800/60'
-        : 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 dark:text-indigo-300 dark:hover:bg-slate-800';
-
-    const nextClasses = currentPage === totalPages
-        ? 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium text-slate-400 bg-slate-100/70 cursor-not-allowed dark:text-slate-600 dark:bg-slate-800/60'
-        : 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 dark:text-indigo-300 dark:hover:bg-slate-800';
-
-    return `
-        <nav class="flex flex-col gap-3 rounded-2xl border border-slate-200 bg-white/85 p-4 text-sm shadow-sm transition-colors sm:flex-row sm:items-center sm:justify-between dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
-            <div class="text-xs text-slate-500 dark:text-slate-400" data-i18n="paginationLabel" data-current="${currentPage}" data-totalpages="${totalPages}">第 ${currentPage} / ${totalPages} 页</div>
-            <div class="flex flex-wrap items-center gap-2">
-                <a href="${buildHref(prevPage)}" class="${prevClasses}" data-i18n="paginationPrev">上一页</a>
-                <div class="flex flex-wrap items-center gap-1">
-                    ${pageLinks}
-                </div>
-                <a href="${buildHref(nextPage)}" class="${nextClasses}" data-i18n="paginationNext">下一页</a>
-            </div>
-        </nav>
-    `;
+// 留言板数量很少，每次请求直接读出全部；id 最小的是默认留言板，显示在根路径下，pathSlug 为空。
+async function loadBoards() {
+    const boards = await dbAll('SELECT * FROM boards ORDER BY id ASC');
+    return boards.map((board, index) => ({ ...board, isDefault: index === 0, pathSlug: index === 0 ? '' : board.slug }));
 }
 
-function formatDisplayTime(isoString) {
-    const date = isoString ? new Date(isoString) : new Date();
-    if (Number.isNaN(date.getTime())) {
-        return new Date().toLocaleString('zh-CN', { hour12: false });
+// slug 为空时返回默认留言板，找不到时返回 null。
+function resolveBoard(boards, slug) {
+    if (!slug) {
+        return boards[0] || null;
     }
-    return date.toLocaleString('zh-CN', { hour12: false });
+    const normalized = String(slug).toLowerCase();
+    return boards.find((board) => board.slug.toLowerCase() === normalized) || null;
 }
 
-function escapeAttribute(value = '') {
-    return value
-        .replace(/&/g, '&amp;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/\r?\n/g, '&#10;');
+// 表单里的 board 字段只用于拼回跳地址，不合法时当作默认留言板。
+function parseBoardField(value) {
+    return typeof value === 'string' && BOARD_SLUG_PATTERN.test(value) ? value : '';
 }
 
-function escapeHtml(value = '') {
-    return value
-        .replace(/&/g, '&amp;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/\r?\n/g, '<br>');
+// 列表页表单带回的页码和筛选条件 { q, board, tag, sort }，用于操作完成后回到原来的列表。
+function parseListFields(fields) {
+    return {
+        page: parseInt(fields.page, 10) || 1,
+        filters: {
+            q: typeof fields.q === 'string' ? fields.q.trim() : '',
+            board: parseBoardField(fields.board),
+            tag: normalizeTag(fields.tag),
+            sort: fields.sort === 'reactions' ? 'reactions' : ''
+        }
+    };
 }
 
-function buildSearchClause(input = '') {
-    const term = input.trim();
-    if (!term) {
-        return { clause: '', params: [], term: '' };
-    }
-    const escaped = term.replace(/([%_\\])/g, '\\$1');
+// 各板未单独设置的保留选项沿用全局配置。
+function getBoardRetention(board) {
     return {
-        clause: "WHERE content LIKE ? ESCAPE '\\'",
-        params: [`%${escaped}%`],
-        term
+        policy: board.retention_policy || RETENTION_POLICY,
+        maxMessages: board.max_messages ?? MAX_MESSAGES,
+        maxAgeMs: board.max_message_age_days ? board.max_message_age_days * 24 * 60 * 60 * 1000 : MAX_MESSAGE_AGE_MS
     };
 }
 
-function readBody(req) {
-    return new Promise((resolve, reject) => {
-        let data = '';
-        req.on('data', (chunk) => {
-            data += chunk.toString('utf8');
-            if (data.length > 1e6) {
-                req.socket.destroy();
-                reject(new Error('Request body too large'));
-            }
-        });
-        req.on('end', () => resolve(data));
-        req.on('error', reject);
-    });
+async function handleBoardRoute(req, res, slug, feedPath, query) {
+    const boards = await loadBoards();
+    const board = resolveBoard(boards, slug);
+    if (!board) {
+        sendNoticePage(res, 404, 'boardNotFound');
+        return;
+    }
+    if (board.isDefault) {
+        redirect(res, withQuery(feedPath || '/', query));
+        return;
+    }
+    if (feedPath) {
+        await handleFeed(req, res, FEED_FORMATS[feedPath], query, board);
+        return;
+    }
+    await renderHome(req, res, query, board, boards);
 }
 
-function redirect(res, location) {
-    res.writeHead(302, { Location: location });
-    res.end();
+async function renderBoards(req, res, query) {
+    const user = await getCurrentUser(req);
+    if (!user || user.role !== 'admin') {
+        redirect(res, user ? withQuery('/', { error: 'forbidden' }) : withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+    const boards = await loadBoards();
+    const counts = await dbAll('SELECT board_id, COUNT(*) AS count FROM messages WHERE deleted_at IS NULL GROUP BY board_id');
+    const countById = new Map(counts.map((row) => [row.board_id, Number(row.count) || 0]));
+    boards.forEach((board) => {
+        board.messageCount = countById.get(board.id) || 0;
+    });
+    sendHtml(res, 200, renderBoardsPage({
+        user,
+        boards,
+        defaults: { policy: RETENTION_POLICY, maxMessages: MAX_MESSAGES, maxAgeDays: config.maxMessageAgeDays },
+        error: query?.error
+    }));
 }
 
-server.listen(PORT, () => {
-    console.log(`服务器运行在 http://localhost:${PORT}`);
-});
+// 创建和修改共用的表单校验；保留选项留空表示沿用全局配置。成功时返回要写入的字段，失败时返回 { error }。
+function parseBoardFields(fields) {
+    const slug = String(fields.slug || '').trim().toLowerCase();
+    if (!BOARD_SLUG_PATTERN.test(slug)) {
+        return { error: 'boardSlugInvalid' };
+    }
+    const name = String(fields.name || '').trim();
+    if (!name || name.length > 50) {
+        return { error: 'boardNameInvalid' };
+    }
+    const description = String(fields.description || '').trim().slice(0, 200);
+    const policy = String(fields.retention_policy || '');
+    if (policy && !['count', 'age', 'unlimited'].includes(policy)) {
+        return { error: 'boardRetentionInvalid' };
+    }
+    const parseLimit = (value) => {
+        const text = String(value || '').trim();
+        if (!text) {
+            return null;
+        }
+        return /^\d+$/.test(text) && Number(text) >= 1 && Number(text) <= 1000000 ? Number(text) : NaN;
+    };
+    const maxMessages = parseLimit(fields.max_messages);
+    const maxAgeDays = parseLimit(fields.max_message_age_days);
+    if (Number.isNaN(maxMessages) || Number.isNaN(maxAgeDays)) {
+        return { error: 'boardRetentionInvalid' };
+    }
+    if ((policy || RETENTION_POLICY) === 'age' && !maxAgeDays && !MAX_MESSAGE_AGE_MS) {
+        return { error: 'boardRetentionInvalid' };
+    }
+    return { slug, name, description, policy: policy || null, maxMessages, maxAgeDays };
+}
+
+// 管理页面上的按钮提交到 /admin/boards/<动作>，返回值为要显示的错误键。
+const BOARD_ACTIONS = {
+    async create(fields) {
+        const board = parseBoardFields(fields);
+        if (board.error) {
+            return board.error;
+        }
+        if (await dbGet('SELECT id FROM boards WHERE slug = ?', [board.slug])) {
+            return 'boardSlugTaken';
+        }
+        await dbRun(
+            `INSERT INTO boards (slug, name, description, retention_policy, max_messages, max_message_age_days, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [board.slug, board.name, board.description, board.policy, board.maxMessages, board.maxAgeDays, new Date().toISOString()]
+        );
+        return null;
+    },
+    async update(fields) {
+        const boardId = parseInt(fields.id, 10);
+        const board = parseBoardFields(fields);
+        if (board.error) {
+            return board.error;
+        }
+        if (await dbGet('SELECT id FROM boards WHERE slug = ? AND id != ?', [board.slug, boardId])) {
+            return 'boardSlugTaken';
+        }
+        await dbRun(
+            `UPDATE boards SET slug = ?, name = ?, description = ?, retention_policy = ?, max_messages = ?, max_message_age_days = ?
+             WHERE id = ?`,
+            [board.slug, board.name, board.description, board.policy, board.maxMessages, board.maxAgeDays, boardId]
+        );
+        runRetentionSweep().catch((error) => console.error('Retention sweep failed:', error));
+        return null;
+    },
+    // 只能删除空的留言板（回收站里的留言也算）；已归档的留言保留，但不再属于任何留言板。
+    async delete(fields) {
+        const boards = await loadBoards();
+        const board = boards.find((item) => item.id === parseInt(fields.id, 10));
+        if (!board) {
+            return null;
+        }
+        if (board.isDefault) {
+            return 'boardDeleteDefault';
+        }
+        if (await dbGet('SELECT 1 AS found FROM messages WHERE board_id = ? LIMIT 1', [board.id])) {
+            return 'boardNotEmpty';
+        }
+        await dbRun('UPDATE archived_messages SET board_id = NULL WHERE board_id = ?', [board.id]);
+        await dbRun('DELETE FROM boards WHERE id = ?', [board.id]);
+        return null;
+    }
+};
+
+async function handleBoardAction(req, res, action) {
+    const user = await getCurrentUser(req);
+    const fields = querystring.parse(await readBody(req));
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: '/admin/boards' });
+        return;
+    }
+    if (!user || user.role !== 'admin') {
+        redirect(res, user ? withQuery('/', { error: 'forbidden' }) : withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+    const errorKey = await action(fields, user);
+    redirect(res, withQuery('/admin/boards', { error: errorKey }));
+}
+
+async function renderHome(req, res, query, board = null, boards = null) {
+    const user = await getCurrentUser(req);
+    const allBoards = boards || await loadBoards();
+    const currentBoard = board || allBoards[0];
+    const searchRaw = typeof query?.q === 'string' ? query.q.trim() : '';
+    // 置顶的主题单独显示在列表上方，不论翻到哪一页或正在搜索什么，因此从常规列表中排除。
+    const search = buildSearchClause(searchRaw, currentBoard.id, normalizeTag(query?.tag), { excludePinned: true });
+    const searchTerm = search.term;
+    const sort = query?.sort === 'reactions' ? 'reactions' : '';
+    const { messages, totalMessages, totalPages, currentPage, newerCursor, olderCursor } = await loadMessageList(search, {
+        page: parseInt(query?.page, 10),
+        before: query?.before,
+        after: query?.after
+    }, sort ? REACTION_ORDER : search.orderBy);
+    if (searchTerm) {
+        messages.forEach((message) => {
+            message.snippetHtml = renderSnippet(message, search);
+        });
+    }
+    const pinnedMessages = await loadPinnedMessages(currentBoard.id);
+    const threads = pinnedMessages.concat(messages);
+    const replies = searchTerm || search.tag ? [] : await loadReplies(threads.map((message) => message.id));
+    await attachAttachments(threads.concat(replies));
+    await attachTags(threads.concat(replies));
+    await attachReactions(threads.concat(replies), user);
+    await attachContentHtml(threads.concat(replies));
+    const childrenByParent = groupByParent(replies);
+    const topTags = await loadTopTags(currentBoard.id);
+
+    const undoId = parseInt(query?.undo, 10);
+    const undoMessage = Number.isNaN(undoId) ? null : await getTrashedMessage(undoId);
+
+    sendHtml(res, 200, renderHomePage({
+        user,
+        board: currentBoard,
+        boards: allBoards,
+        retention: getBoardRetention(currentBoard),
+        canManage: (message) => canManageMessage(user, message),
+        messages,
+        pinnedMessages,
+        childrenByParent,
+        searchTerm,
+        tag: search.tag,
+        sort,
+        topTags,
+        totalMessages,
+        currentPage,
+        totalPages,
+        newerCursor,
+        olderCursor,
+        error: query?.error,
+        undoMessageId: undoMessage && canManageMessage(user, undoMessage) ? undoMessage.id : null
+    }));
+}
+
+async function handleSubmit(req, res) {
+    const user = await getCurrentUser(req);
+    if (!user) {
+        redirect(res, withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+
+    let submission;
+    try {
+        submission = await readSubmission(req);
+    } catch (error) {
+        if (error instanceof HttpError && error.status === 413) {
+            redirect(res, withQuery('/', { error: 'attachmentTooLarge' }));
+            return;
+        }
+        throw error;
+    }
+
+    const { message, parent_id: parentField } = submission.fields;
+    const content = typeof message === 'string' ? message.trim() : '';
+    const parentId = parseInt(parentField, 10);
+    const { page, filters } = parseListFields(submission.fields);
+    const boardSlug = filters.board;
+    const backPath = Number.isNaN(parentId) ? boardPath(boardSlug) : buildListPath(page, filters);
+
+    if (!verifyCsrf(req, user, submission.fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath });
+        return;
+    }
+
+    // 蜜罐字段对真人不可见，被填写说明是脚本提交：假装成功，但不写入数据库。
+    if (submission.fields[HONEYPOT_FIELD]) {
+        redirect(res, backPath);
+        return;
+    }
+
+    const limit = await checkPostRate(req, user);
+    if (limit) {
+        sendNoticePage(res, 429, limit.errorKey, {
+            params: { seconds: limit.retryAfter },
+            backPath,
+            headers: { 'Retry-After': String(limit.retryAfter) }
+        });
+        return;
+    }
+
+    const { attachments, errorKey } = validateAttachments(submission.files);
+    if (errorKey) {
+        redirect(res, withQuery(backPath, { error: errorKey }));
+        return;
+    }
+
+    if (!content && !attachments.length) {
+        redirect(res, backPath);
+        return;
+    }
+
+    const rejection = checkContentFilters(content) || await findDuplicatePost(content, user);
+    if (rejection) {
+        redirect(res, withQuery(backPath, { error: rejection }));
+        return;
+    }
+
+    const parent = Number.isNaN(parentId) ? null : await dbGet('SELECT id FROM messages WHERE id = ? AND deleted_at IS NULL', [parentId]);
+    if (!Number.isNaN(parentId) && !parent) {
+        redirect(res, withQuery(backPath, { error: 'parentMissing' }));
+        return;
+    }
+    // 回复总是跟随上级留言所在的留言板，只有新主题需要确认目标留言板仍然存在。
+    const board = parent ? null : resolveBoard(await loadBoards(), boardSlug);
+    if (!parent && !board) {
+        redirect(res, withQuery('/', { error: 'boardNotFound' }));
+        return;
+    }
+
+    const created = await createMessage(content, user, parent ? parent.id : null, attachments, board ? board.id : null);
+
+    redirect(res, created ? `${backPath}#message-${created.id}` : backPath);
+}
+
+const SPAM_API_ERRORS = {
+    rateLimited: ['rate_limited', 'Too many messages, slow down'],
+    postTooFast: ['rate_limited', 'Messages are being posted too quickly'],
+    duplicateContent: ['duplicate_content', 'An identical message was posted recently'],
+    bannedContent: ['banned_content', 'The message contains a banned word or link'],
+    tooManyLinks: ['too_many_links', `A message may contain at most ${MAX_LINKS_PER_MESSAGE} links`]
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()"'\]]+/gi;
+const rateBuckets = new Map();
+
+// 令牌桶：每个 IP 和每个用户各有一只桶，容量为 RATE_LIMIT_BURST，每分钟补充 RATE_LIMIT_PER_MINUTE 个令牌。
+// 两只桶都有余量时才同时扣减，返回需要等待的秒数（0 表示放行）。
+function takeRateTokens(keys, now = Date.now()) {
+    if (!RATE_LIMIT_PER_MINUTE) {
+        return 0;
+    }
+    const buckets = keys.map((key) => {
+        const bucket = rateBuckets.get(key) || { tokens: RATE_LIMIT_BURST, updatedAt: now };
+        bucket.tokens = Math.min(RATE_LIMIT_BURST, bucket.tokens + ((now - bucket.updatedAt) / 60000) * RATE_LIMIT_PER_MINUTE);
+        bucket.updatedAt = now;
+        rateBuckets.set(key, bucket);
+        return bucket;
+    });
+    const shortfall = Math.max(...buckets.map((bucket) => 1 - bucket.tokens));
+    if (shortfall > 0) {
+        return Math.ceil((shortfall / RATE_LIMIT_PER_MINUTE) * 60);
+    }
+    buckets.forEach((bucket) => {
+        bucket.tokens -= 1;
+    });
+    return 0;
+}
+
+// 定期清理已经补满的桶，避免长时间运行后 Map 无限增长。
+setInterval(() => {
+    const now = Date.now();
+    rateBuckets.forEach((bucket, key) => {
+        if (bucket.tokens + ((now - bucket.updatedAt) / 60000) * RATE_LIMIT_PER_MINUTE >= RATE_LIMIT_BURST) {
+            rateBuckets.delete(key);
+        }
+    });
+}, 10 * 60 * 1000).unref();
+
+async function checkPostRate(req, user) {
+    const now = Date.now();
+    if (MIN_POST_INTERVAL_MS) {
+        const last = await dbGet(
+            'SELECT created_at FROM messages WHERE author_id = ? ORDER BY created_ms DESC, id DESC LIMIT 1',
+            [user.id]
+        );
+        const elapsed = last ? now - Date.parse(last.created_at) : Infinity;
+        if (elapsed < MIN_POST_INTERVAL_MS) {
+            return { errorKey: 'postTooFast', retryAfter: Math.ceil((MIN_POST_INTERVAL_MS - elapsed) / 1000) };
+        }
+    }
+    const retryAfter = takeRateTokens([`ip:${getClientIp(req)}`, `user:${user.id}`], now);
+    return retryAfter ? { errorKey: 'rateLimited', retryAfter } : null;
+}
+
+function checkContentFilters(content) {
+    const lowered = content.toLowerCase();
+    const links = content.match(LINK_PATTERN) || [];
+    if (BANNED_WORDS.some((word) => lowered.includes(word)) || links.some(isBlockedLink)) {
+        return 'bannedContent';
+    }
+    if (MAX_LINKS_PER_MESSAGE && links.length > MAX_LINKS_PER_MESSAGE) {
+        return 'tooManyLinks';
+    }
+    return null;
+}
+
+function isBlockedLink(link) {
+    if (!BLOCKED_DOMAINS.length) {
+        return false;
+    }
+    let hostname = '';
+    try {
+        hostname = new URL(/^www\./i.test(link) ? `http://${link}` : link).hostname.toLowerCase();
+    } catch (error) {
+        return false;
+    }
+    return BLOCKED_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+async function findDuplicatePost(content, user) {
+    if (!DUPLICATE_WINDOW_MS || !content) {
+        return null;
+    }
+    const since = Date.now() - DUPLICATE_WINDOW_MS;
+    const duplicate = await dbGet(
+        'SELECT id FROM messages WHERE author_id = ? AND content = ? AND deleted_at IS NULL AND created_ms >= ? LIMIT 1',
+        [user.id, content, since]
+    );
+    return duplicate ? 'duplicateContent' : null;
+}
+
+function getClientIp(req) {
+    if (config.trustProxy && req.headers['x-forwarded-for']) {
+        return req.headers['x-forwarded-for'].split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+function sendNoticePage(res, status, errorKey, { params = {}, backPath = '/', headers = {} } = {}) {
+    sendHtml(res, status, renderNoticePage({ errorKey, params, backPath }), headers);
+}
+
+// 回复写入上级留言所在的留言板；没有上级也没有指定 boardId 时写入默认留言板。
+async function createMessage(content, author, parentId = null, attachments = [], boardId = null) {
+    const createdAt = new Date().toISOString();
+    const result = await dbRun(
+        `INSERT INTO messages (content, created_at, author_id, parent_id, content_html, content_html_version, board_id)
+         VALUES (?, ?, ?, ?, ?, ?, COALESCE((SELECT board_id FROM messages WHERE id = ?), ?, (SELECT MIN(id) FROM boards)))`,
+        [content, createdAt, author.id, parentId, renderMarkdown(content), RENDER_VERSION, parentId, boardId]
+    );
+    await storeAttachments(result.lastID, attachments);
+    await syncMessageTags(result.lastID, content);
+    await createNotifications(result.lastID, content, author, parentId);
+    const message = await getMessage(result.lastID);
+    if (message) {
+        emitMessageEvent('message.created', serializeMessage(message));
+    }
+    return message;
+}
+
+// viewer 为当前用户时，回应计数里会标出该用户自己点过的表情。
+async function getMessage(messageId, viewer = null) {
+    const message = await dbGet(`${MESSAGE_SELECT} WHERE messages.id = ? AND ${LIVE_CONDITION}`, [messageId]);
+    if (message) {
+        await attachAttachments([message]);
+        await attachTags([message]);
+        await attachReactions([message], viewer);
+        await attachContentHtml([message]);
+    }
+    return message;
+}
+
+let retentionSweep = null;
+
+// 保留策略由后台定时执行，发帖时不再淘汰，每个留言板分别计算（见 getBoardRetention）：count 只保留最新的 maxMessages 条留言，
+// age 淘汰发布超过 maxMessageAgeDays 的主题，unlimited 全部保留。淘汰以主题为单位整体归档，不会留下孤立的回复；受保护的主题和置顶中的主题不会被淘汰（置顶过期后恢复正常），但仍计入条数，
+// 回收站中的留言不计入。同一时间只有一轮清理，重复调用共用同一个 Promise，结果为本轮归档的留言数。
+function runRetentionSweep() {
+    if (!retentionSweep) {
+        retentionSweep = sweepRetention().finally(() => {
+            retentionSweep = null;
+        });
+    }
+    return retentionSweep;
+}
+
+async function sweepRetention() {
+    let archived = 0;
+    for (const board of await loadBoards()) {
+        const { policy, maxMessages, maxAgeMs } = getBoardRetention(board);
+        if (policy === 'age' && maxAgeMs) {
+            const expired = await dbAll(
+                `SELECT id FROM messages WHERE board_id = ? AND parent_id IS NULL AND deleted_at IS NULL AND protected_at IS NULL AND NOT (${PINNED_CONDITION})
+                 AND created_ms < ? ORDER BY created_ms ASC, id ASC`,
+                [board.id, Date.now() - maxAgeMs]
+            );
+            for (const row of expired) {
+                archived += await archiveMessageTree(row.id, 'age');
+            }
+        } else if (policy === 'count') {
+            const totalRow = await dbGet('SELECT COUNT(*) AS count FROM messages WHERE board_id = ? AND deleted_at IS NULL', [board.id]);
+            let totalMessages = totalRow?.count ? Number(totalRow.count) : 0;
+            while (totalMessages > maxMessages) {
+                const oldest = await dbGet(
+                    `SELECT id FROM messages WHERE board_id = ? AND parent_id IS NULL AND deleted_at IS NULL AND protected_at IS NULL AND NOT (${PINNED_CONDITION})
+                     ORDER BY created_ms ASC, id ASC LIMIT 1`,
+                    [board.id]
+                );
+                if (!oldest) {
+                    break;
+                }
+                const count = await archiveMessageTree(oldest.id, 'count');
+                totalMessages -= count;
+                archived += count;
+            }
+        }
+    }
+    return archived;
+}
+
+// 在同一个事务中写入 archived_messages 并从 messages 中清除整棵子树，提交后再把附件文件移到 data/archive/uploads；
+// 移动失败的文件留在 data/uploads 中，数据库不会出现既在列表又在归档里的留言。修订记录不归档，子树中已在回收站里的留言直接清除。
+async function archiveMessageTree(messageId, reason) {
+    const archivedAt = new Date().toISOString();
+    const result = await withTransaction(async () => {
+        const rows = await dbAll(
+            `${THREAD_SUBTREE} SELECT messages.id, messages.parent_id, messages.author_id, users.username AS author_name,
+                    messages.content, messages.created_at, messages.updated_at, messages.board_id
+             FROM messages JOIN subtree ON subtree.id = messages.id LEFT JOIN users ON users.id = messages.author_id
+             WHERE messages.deleted_at IS NULL`,
+            [messageId]
+        );
+        if (!rows.length) {
+            return null;
+        }
+        await attachAttachments(rows);
+        for (const row of rows) {
+            const attachments = row.attachments.map(({ original_name, stored_name, mime_type, size, created_at }) => ({
+                original_name, stored_name, mime_type, size, created_at
+            }));
+            await dbRun(
+                `INSERT OR REPLACE INTO archived_messages
+                 (id, parent_id, author_id, author_name, content, created_at, updated_at, attachments, archive_reason, archived_at, board_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [row.id, row.parent_id, row.author_id, row.author_name, row.content, row.created_at, row.updated_at,
+                    JSON.stringify(attachments), reason, archivedAt, row.board_id]
+            );
+        }
+        const archivedNames = new Set(rows.flatMap((row) => row.attachments.map((attachment) => attachment.stored_name)));
+        return { archivedNames, ...(await deleteMessageTree(messageId)) };
+    });
+    if (!result) {
+        return 0;
+    }
+
+    if (result.archivedNames.size) {
+        await fs.promises.mkdir(ARCHIVE_UPLOADS_DIR, { recursive: true });
+        for (const storedName of result.archivedNames) {
+            await fs.promises.rename(path.join(UPLOADS_DIR, storedName), path.join(ARCHIVE_UPLOADS_DIR, storedName)).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    console.error('Failed to archive attachment:', error);
+                }
+            });
+        }
+    }
+    await removeAttachmentFiles(result.storedNames.filter((storedName) => !result.archivedNames.has(storedName)));
+    return emitTreeRemoved(result.liveIds);
+}
+
+async function loadArchivedMessages(afterId, limit) {
+    const rows = await dbAll(
+        `SELECT archived_messages.*, boards.slug AS board_slug FROM archived_messages
+         LEFT JOIN boards ON boards.id = archived_messages.board_id
+         WHERE archived_messages.id > ? ORDER BY archived_messages.id ASC LIMIT ?`,
+        [afterId, limit]
+    );
+    return rows.map((row) => ({ ...row, attachments: JSON.parse(row.attachments) }));
+}
+
+// 删除只是把子树中尚未删除的留言移入回收站；同一次删除共用一个 deleted_at，恢复时据此整体还原。
+async function trashMessageTree(messageId, user) {
+    const ids = await withTransaction(async () => {
+        const rows = await dbAll(
+            `${THREAD_SUBTREE} SELECT id FROM messages WHERE id IN (SELECT id FROM subtree) AND deleted_at IS NULL`,
+            [messageId]
+        );
+        if (rows.length) {
+            await dbRun(
+                `${THREAD_SUBTREE} UPDATE messages SET deleted_at = ?, deleted_by = ? WHERE id IN (SELECT id FROM subtree) AND deleted_at IS NULL`,
+                [messageId, new Date().toISOString(), user ? user.id : null]
+            );
+        }
+        return rows.map((row) => row.id);
+    });
+    if (ids.length) {
+        emitMessageEvent('message.deleted', { ids });
+    }
+    return ids.length;
+}
+
+async function restoreMessageTree(message) {
+    const result = await dbRun(
+        `${THREAD_SUBTREE} UPDATE messages SET deleted_at = NULL, deleted_by = NULL WHERE id IN (SELECT id FROM subtree) AND deleted_at = ?`,
+        [message.id, message.deleted_at]
+    );
+    return result.changes;
+}
+
+// 永久删除整棵子树及其附件和修订记录，返回其中不在回收站里的留言数；附件文件在事务提交后才删除。
+async function purgeMessageTree(messageId) {
+    const { liveIds, storedNames } = await withTransaction(() => deleteMessageTree(messageId));
+    await removeAttachmentFiles(storedNames);
+    return emitTreeRemoved(liveIds);
+}
+
+// 只删除数据库中的记录，必须在事务中调用；返回子树中不在回收站里的留言 id 和附件的存储名，文件由调用方处理。
+async function deleteMessageTree(messageId) {
+    const rows = await dbAll(
+        `${THREAD_SUBTREE} SELECT messages.id, messages.deleted_at FROM messages JOIN subtree ON subtree.id = messages.id`,
+        [messageId]
+    );
+    if (!rows.length) {
+        return { liveIds: [], storedNames: [] };
+    }
+    const attachments = await dbAll(
+        `${THREAD_SUBTREE} SELECT stored_name FROM attachments WHERE message_id IN (SELECT id FROM subtree)`,
+        [messageId]
+    );
+    for (const table of ['attachments', 'message_revisions', 'message_tags', 'reactions', 'notifications']) {
+        await dbRun(
+            `${THREAD_SUBTREE} DELETE FROM ${table} WHERE message_id IN (SELECT id FROM subtree)`,
+            [messageId]
+        );
+    }
+    await dbRun('DELETE FROM tags WHERE id NOT IN (SELECT tag_id FROM message_tags)');
+    await dbRun(
+        `${THREAD_SUBTREE} DELETE FROM messages WHERE id IN (SELECT id FROM subtree)`,
+        [messageId]
+    );
+    return {
+        liveIds: rows.filter((row) => row.deleted_at === null).map((row) => row.id),
+        storedNames: attachments.map((attachment) => attachment.stored_name)
+    };
+}
+
+function emitTreeRemoved(liveIds) {
+    if (liveIds.length) {
+        emitMessageEvent('message.deleted', { ids: liveIds });
+    }
+    return liveIds.length;
+}
+
+// 回收站中的留言一定连同其回复一起被删除，所以逐条清除过期留言不会误删仍在使用的回复。
+async function purgeExpiredTrash() {
+    if (!TRASH_RETENTION_MS) {
+        return;
+    }
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_MS).toISOString();
+    const expired = await dbAll(
+        'SELECT id FROM messages WHERE deleted_at IS NOT NULL AND datetime(deleted_at) < datetime(?) ORDER BY id ASC',
+        [cutoff]
+    );
+    for (const row of expired) {
+        await purgeMessageTree(row.id);
+    }
+}
+
+function getTrashedMessage(messageId) {
+    return dbGet(
+        'SELECT id, author_id, parent_id, deleted_at FROM messages WHERE id = ? AND deleted_at IS NOT NULL',
+        [messageId]
+    );
+}
+
+function loadReplies(rootIds) {
+    if (!rootIds.length) {
+        return Promise.resolve([]);
+    }
+    const placeholders = rootIds.map(() => '?').join(', ');
+    return dbAll(
+        `WITH RECURSIVE thread(id) AS (
+            SELECT id FROM messages WHERE parent_id IN (${placeholders}) AND deleted_at IS NULL
+            UNION ALL
+            SELECT messages.id FROM messages JOIN thread ON messages.parent_id = thread.id WHERE messages.deleted_at IS NULL
+        )
+        ${MESSAGE_SELECT} WHERE messages.id IN (SELECT id FROM thread)
+        ORDER BY messages.created_ms ASC, messages.id ASC`,
+        rootIds
+    );
+}
+
+async function storeAttachments(messageId, attachments) {
+    const createdAt = new Date().toISOString();
+    for (const attachment of attachments) {
+        const storedName = `${crypto.randomBytes(16).toString('hex')}${attachment.type.ext}`;
+        const filePath = path.join(UPLOADS_DIR, storedName);
+        await fs.promises.writeFile(filePath, attachment.data);
+        try {
+            await dbRun(
+                'INSERT INTO attachments (message_id, original_name, stored_name, mime_type, size, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [messageId, attachment.name, storedName, attachment.type.mime, attachment.data.length, createdAt]
+            );
+        } catch (error) {
+            await fs.promises.unlink(filePath).catch(() => {});
+            throw error;
+        }
+    }
+}
+
+async function removeAttachmentFiles(storedNames) {
+    await Promise.all(storedNames.map((storedName) => fs.promises.unlink(path.join(UPLOADS_DIR, storedName)).catch((error) => {
+        if (error.code !== 'ENOENT') {
+            console.error('Failed to remove attachment:', error);
+        }
+    })));
+}
+
+async function attachAttachments(messages) {
+    if (!messages.length) {
+        return messages;
+    }
+    const ids = messages.map((message) => message.id);
+    const rows = await dbAll(
+        `SELECT * FROM attachments WHERE message_id IN (${ids.map(() => '?').join(', ')}) ORDER BY id ASC`,
+        ids
+    );
+    const byMessage = new Map();
+    rows.forEach((row) => {
+        if (!byMessage.has(row.message_id)) {
+            byMessage.set(row.message_id, []);
+        }
+        byMessage.get(row.message_id).push(row);
+    });
+    messages.forEach((message) => {
+        message.attachments = byMessage.get(message.id) || [];
+    });
+    return messages;
+}
+
+// 通知正文中 @ 到的用户；parentId 不为空时（新回复）还通知被回复的作者，已被 @ 到的不再重复通知。
+// 编辑留言时再次调用，只会给新 @ 到的人发通知。作者自己不会收到通知。
+async function createNotifications(messageId, content, actor, parentId = null) {
+    const recipients = new Map();
+    const usernames = extractMentions(content);
+    if (usernames.length) {
+        const users = await dbAll(`SELECT id FROM users WHERE username IN (${usernames.map(() => '?').join(', ')})`, usernames);
+        users.forEach((row) => recipients.set(row.id, 'mention'));
+    }
+    if (parentId) {
+        const parent = await dbGet('SELECT author_id FROM messages WHERE id = ?', [parentId]);
+        if (parent?.author_id && !recipients.has(parent.author_id)) {
+            recipients.set(parent.author_id, 'reply');
+        }
+    }
+    recipients.delete(actor.id);
+    const now = new Date().toISOString();
+    for (const [userId, type] of recipients) {
+        await dbRun(
+            'INSERT OR IGNORE INTO notifications (user_id, type, message_id, actor_id, created_at) VALUES (?, ?, ?, ?, ?)',
+            [userId, type, messageId, actor.id, now]
+        );
+    }
+}
+
+// 按正文重新提取话题标签，覆盖该留言原有的标签。
+async function syncMessageTags(messageId, content) {
+    await dbRun('DELETE FROM message_tags WHERE message_id = ?', [messageId]);
+    for (const tag of extractHashtags(content)) {
+        await dbRun('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tag]);
+        await dbRun('INSERT OR IGNORE INTO message_tags (message_id, tag_id) SELECT ?, id FROM tags WHERE name = ?', [messageId, tag]);
+    }
+}
+
+async function attachTags(messages) {
+    if (!messages.length) {
+        return messages;
+    }
+    const ids = messages.map((message) => message.id);
+    const rows = await dbAll(
+        `SELECT message_tags.message_id, tags.name FROM message_tags JOIN tags ON tags.id = message_tags.tag_id
+         WHERE message_tags.message_id IN (${ids.map(() => '?').join(', ')}) ORDER BY tags.name ASC`,
+        ids
+    );
+    const byMessage = new Map();
+    rows.forEach((row) => {
+        if (!byMessage.has(row.message_id)) {
+            byMessage.set(row.message_id, []);
+        }
+        byMessage.get(row.message_id).push(row.name);
+    });
+    messages.forEach((message) => {
+        message.tags = byMessage.get(message.id) || [];
+    });
+    return messages;
+}
+
+// 每条留言的回应按表情汇总为 [{ emoji, count, reacted }]，顺序同 REACTION_EMOJIS；reacted 表示 viewer 是否点过。
+async function attachReactions(messages, viewer = null) {
+    if (!messages.length) {
+        return messages;
+    }
+    const ids = messages.map((message) => message.id);
+    const rows = await dbAll(
+        `SELECT message_id, emoji, COUNT(*) AS count, MAX(user_id = ?) AS reacted FROM reactions
+         WHERE message_id IN (${ids.map(() => '?').join(', ')}) GROUP BY message_id, emoji`,
+        [viewer ? viewer.id : 0, ...ids]
+    );
+    const position = (emoji) => {
+        const index = REACTION_EMOJIS.indexOf(emoji);
+        return index === -1 ? REACTION_EMOJIS.length : index;
+    };
+    const byMessage = new Map();
+    rows.forEach((row) => {
+        if (!byMessage.has(row.message_id)) {
+            byMessage.set(row.message_id, []);
+        }
+        byMessage.get(row.message_id).push({ emoji: row.emoji, count: Number(row.count), reacted: Boolean(row.reacted) });
+    });
+    messages.forEach((message) => {
+        message.reactions = (byMessage.get(message.id) || []).sort((a, b) => position(a.emoji) - position(b.emoji));
+    });
+    return messages;
+}
+
+// 当前留言板置顶中的主题，最近置顶的在前。
+function loadPinnedMessages(boardId) {
+    return dbAll(
+        `${MESSAGE_SELECT} WHERE messages.board_id = ? AND messages.parent_id IS NULL AND ${LIVE_CONDITION} AND ${PINNED_CONDITION}
+         ORDER BY messages.pinned_at DESC, messages.id DESC`,
+        [boardId]
+    );
+}
+
+// 标签云只统计当前留言板中不在回收站里的留言。
+function loadTopTags(boardId) {
+    return dbAll(
+        `SELECT tags.name, COUNT(*) AS count FROM message_tags
+         JOIN tags ON tags.id = message_tags.tag_id
+         JOIN messages ON messages.id = message_tags.message_id
+         WHERE messages.board_id = ? AND ${LIVE_CONDITION}
+         GROUP BY tags.id ORDER BY count DESC, tags.name ASC LIMIT ?`,
+        [boardId, TOP_TAGS_LIMIT]
+    );
+}
+
+// 渲染后的 HTML 缓存在 messages.content_html 中；导入的留言或渲染规则升级后的旧缓存在读取时补上。
+async function attachContentHtml(messages) {
+    for (const message of messages) {
+        if (message.content_html !== null && message.content_html_version === RENDER_VERSION) {
+            continue;
+        }
+        message.content_html = renderMarkdown(message.content);
+        message.content_html_version = RENDER_VERSION;
+        await dbRun(
+            'UPDATE messages SET content_html = ?, content_html_version = ? WHERE id = ?',
+            [message.content_html, RENDER_VERSION, message.id]
+        );
+    }
+    return messages;
+}
+
+function validateAttachments(files) {
+    const uploads = files.filter((file) => file.field === 'attachments');
+    if (uploads.length > MAX_ATTACHMENTS) {
+        return { attachments: [], errorKey: 'tooManyAttachments' };
+    }
+    const attachments = [];
+    for (const file of uploads) {
+        if (file.data.length > MAX_ATTACHMENT_SIZE) {
+            return { attachments: [], errorKey: 'attachmentTooLarge' };
+        }
+        const name = sanitizeFilename(file.filename);
+        const type = ATTACHMENT_TYPES.find((item) => item.matches(file.data, name));
+        if (!type) {
+            return { attachments: [], errorKey: 'attachmentType' };
+        }
+        attachments.push({ name, type, data: file.data });
+    }
+    return { attachments, errorKey: null };
+}
+
+function sanitizeFilename(filename = '') {
+    const base = filename.split(/[\\/]/).pop().replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+    return base.slice(-120) || 'file';
+}
+
+// 回收站中留言的附件和留言一样，只有能在回收站里看到它的作者和管理员可以访问。
+async function serveAttachment(req, res, storedName) {
+    let attachment = STORED_NAME_PATTERN.test(storedName)
+        ? await dbGet(
+            `SELECT attachments.*, messages.author_id, messages.deleted_at FROM attachments
+             JOIN messages ON messages.id = attachments.message_id WHERE attachments.stored_name = ?`,
+            [storedName]
+        )
+        : null;
+    if (attachment && attachment.deleted_at !== null && !canManageMessage(await getCurrentUser(req), attachment)) {
+        attachment = null;
+    }
+    const filePath = path.join(UPLOADS_DIR, storedName);
+    const stat = attachment ? await fs.promises.stat(filePath).catch(() => null) : null;
+    if (!stat) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('404 Not Found');
+        return;
+    }
+
+    // 图片可以直接内联显示，其余类型一律作为下载，避免浏览器把上传内容当作页面执行。
+    // 文件内容不会变，但留言可能被移入回收站，所以每次都要回到服务端确认；ETag 用随机的存储名，确认后返回 304。
+    const isImage = attachment.mime_type.startsWith('image/');
+    const asciiName = attachment.original_name.replace(/[^\x20-\x7e]/g, '_');
+    const etag = `"${storedName}"`;
+    const headers = {
+        'Content-Type': attachment.mime_type === 'text/plain' ? 'text/plain; charset=utf-8' : attachment.mime_type,
+        'Content-Disposition': `${isImage ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.original_name)}`,
+        'Content-Security-Policy': "default-src 'none'",
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': attachment.deleted_at === null ? 'private, no-cache' : 'private, no-store',
+        ETag: etag
+    };
+    if (matchesEtag(req, etag)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+    headers['Content-Length'] = stat.size;
+    res.writeHead(200, headers);
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+}
+
+async function handleDelete(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const messageId = parseInt(fields.id, 10);
+    const { page, filters } = parseListFields(fields);
+    let targetPage = page;
+    let errorKey = null;
+    let deletedId = null;
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: buildListPath(targetPage, filters) });
+        return;
+    }
+
+    if (!Number.isNaN(messageId)) {
+        const message = await dbGet('SELECT id, author_id FROM messages WHERE id = ? AND deleted_at IS NULL', [messageId]);
+        if (message && canManageMessage(user, message)) {
+            await trashMessageTree(messageId, user);
+            deletedId = messageId;
+        } else if (message) {
+            errorKey = user ? 'forbidden' : 'loginRequired';
+        }
+    }
+
+    const totalRow = await dbGet(
+        'SELECT COUNT(*) AS count FROM messages WHERE parent_id IS NULL AND deleted_at IS NULL AND board_id = COALESCE((SELECT id FROM boards WHERE slug = ?), (SELECT MIN(id) FROM boards))',
+        [filters.board]
+    );
+    const totalMessages = totalRow?.count ? Number(totalRow.count) : 0;
+    const totalPages = Math.max(1, Math.ceil(totalMessages / PAGE_SIZE));
+
+    if (targetPage < 1) {
+        targetPage = 1;
+    }
+    if (targetPage > totalPages) {
+        targetPage = totalPages;
+    }
+
+    // undo 参数让列表页显示“撤销”提示条。
+    redirect(res, withQuery(buildListPath(targetPage, filters), { error: errorKey, undo: deletedId }));
+}
+
+async function handleRestore(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const { id, from } = fields;
+    const messageId = parseInt(id, 10);
+    const { page, filters } = parseListFields(fields);
+    const backPath = from === 'trash' ? '/trash' : buildListPath(page, filters);
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath });
+        return;
+    }
+
+    const message = Number.isNaN(messageId) ? null : await getTrashedMessage(messageId);
+    if (!message) {
+        redirect(res, backPath);
+        return;
+    }
+    if (!canManageMessage(user, message)) {
+        redirect(res, withQuery(backPath, { error: user ? 'forbidden' : 'loginRequired' }));
+        return;
+    }
+    if (await isParentTrashed(message)) {
+        redirect(res, withQuery(backPath, { error: 'parentDeleted' }));
+        return;
+    }
+
+    await restoreMessageTree(message);
+    redirect(res, from === 'trash' ? backPath : `${backPath}#message-${message.id}`);
+}
+
+// 只有已经在回收站中的留言才能被永久删除。
+async function handlePurge(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const messageId = parseInt(fields.id, 10);
+    let errorKey = null;
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: '/trash' });
+        return;
+    }
+
+    const message = Number.isNaN(messageId) ? null : await getTrashedMessage(messageId);
+    if (message && canManageMessage(user, message)) {
+        await purgeMessageTree(message.id);
+    } else if (message) {
+        errorKey = user ? 'forbidden' : 'loginRequired';
+    }
+
+    redirect(res, withQuery('/trash', { error: errorKey }));
+}
+
+// 回收站按删除批次展示：每次删除只列出最上层的那条留言，它的回复随之一起恢复或清除。
+// 普通用户只能看到自己发布的留言，管理员可以看到全部。
+async function renderTrash(req, res, query) {
+    const user = await getCurrentUser(req);
+    if (!user) {
+        redirect(res, withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+
+    const params = [];
+    let ownerClause = '';
+    if (user.role !== 'admin') {
+        ownerClause = 'AND messages.author_id = ?';
+        params.push(user.id);
+    }
+    params.push(TRASH_PAGE_LIMIT);
+    const rows = await dbAll(
+        `SELECT ${MESSAGE_COLUMNS}, messages.deleted_at, deleters.username AS deleted_by_name
+         FROM messages ${MESSAGE_JOINS}
+         LEFT JOIN users AS deleters ON deleters.id = messages.deleted_by
+         WHERE messages.deleted_at IS NOT NULL
+           AND (parents.id IS NULL OR parents.deleted_at IS NULL OR parents.deleted_at != messages.deleted_at)
+           ${ownerClause}
+         ORDER BY datetime(messages.deleted_at) DESC, messages.id DESC LIMIT ?`,
+        params
+    );
+    await attachAttachments(rows);
+    await attachContentHtml(rows);
+    const boards = await loadBoards();
+    for (const row of rows) {
+        row.board_path = resolveBoard(boards, row.board_slug)?.pathSlug ?? '';
+        const countRow = await dbGet(
+            `${THREAD_SUBTREE} SELECT COUNT(*) AS count FROM messages WHERE id IN (SELECT id FROM subtree) AND deleted_at = ?`,
+            [row.id, row.deleted_at]
+        );
+        row.reply_count = Math.max(0, Number(countRow.count) - 1);
+    }
+
+    sendHtml(res, 200, renderTrashPage({ user, rows, error: query?.error }));
+}
+
+// 收件箱列出最近的通知，回收站中的留言对应的通知暂不显示，恢复后重新出现。
+async function renderInbox(req, res, query) {
+    const user = await getCurrentUser(req);
+    if (!user) {
+        redirect(res, withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+
+    const rows = await dbAll(
+        `SELECT notifications.id, notifications.type, notifications.message_id, notifications.created_at, notifications.read_at,
+                actors.username AS actor_name, messages.content, boards.name AS board_name
+         FROM notifications
+         JOIN messages ON messages.id = notifications.message_id
+         LEFT JOIN users AS actors ON actors.id = notifications.actor_id
+         LEFT JOIN boards ON boards.id = messages.board_id
+         WHERE notifications.user_id = ? AND ${LIVE_CONDITION}
+         ORDER BY notifications.id DESC LIMIT ?`,
+        [user.id, INBOX_PAGE_LIMIT]
+    );
+    sendHtml(res, 200, renderInboxPage({ user, rows, error: query?.error }));
+}
+
+// all=1 时把全部通知标为已读，否则只标记 id 对应的一条；open=1 时随后跳到通知对应的留言。
+async function handleInboxRead(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: '/inbox' });
+        return;
+    }
+    if (!user) {
+        redirect(res, withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+
+    const now = new Date().toISOString();
+    if (fields.all === '1') {
+        await dbRun('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL', [now, user.id]);
+        redirect(res, '/inbox');
+        return;
+    }
+    const notificationId = parseInt(fields.id, 10);
+    const notification = Number.isNaN(notificationId)
+        ? null
+        : await dbGet('SELECT id, message_id, read_at FROM notifications WHERE id = ? AND user_id = ?', [notificationId, user.id]);
+    if (!notification) {
+        redirect(res, '/inbox');
+        return;
+    }
+    if (!notification.read_at) {
+        await dbRun('UPDATE notifications SET read_at = ? WHERE id = ?', [now, notification.id]);
+    }
+    const target = fields.open === '1' ? await findMessagePath(notification.message_id) : null;
+    redirect(res, target || withQuery('/inbox', { error: fields.open === '1' ? 'messageNotFound' : null }));
+}
+
+// 留言在列表中的位置：所在留言板中它的主题所在的那一页（置顶的主题显示在每一页上方），带上 #message-id 锚点。
+async function findMessagePath(messageId) {
+    const root = await dbGet(
+        `WITH RECURSIVE ancestors(id, parent_id) AS (
+            SELECT id, parent_id FROM messages WHERE id = ? AND deleted_at IS NULL
+            UNION ALL
+            SELECT messages.id, messages.parent_id FROM messages JOIN ancestors ON messages.id = ancestors.parent_id
+        )
+        SELECT messages.id, messages.created_ms, messages.board_id, ${PINNED_CONDITION} AS pinned FROM messages
+        WHERE messages.id = (SELECT id FROM ancestors WHERE parent_id IS NULL) AND ${LIVE_CONDITION}`,
+        [messageId]
+    );
+    if (!root) {
+        return null;
+    }
+    let page = 1;
+    if (!root.pinned) {
+        const newerRow = await dbGet(
+            `SELECT COUNT(*) AS count FROM messages
+             WHERE board_id = ? AND parent_id IS NULL AND ${LIVE_CONDITION} AND NOT (${PINNED_CONDITION}) AND ${KEYSET_AFTER}`,
+            [root.board_id, root.created_ms, root.id]
+        );
+        page = Math.floor((Number(newerRow?.count) || 0) / PAGE_SIZE) + 1;
+    }
+    const board = (await loadBoards()).find((item) => item.id === root.board_id);
+    return `${buildListPath(page, { board: board ? board.pathSlug : '' })}#message-${messageId}`;
+}
+
+async function isParentTrashed(message) {
+    if (!message.parent_id) {
+        return false;
+    }
+    const parent = await dbGet('SELECT deleted_at FROM messages WHERE id = ?', [message.parent_id]);
+    return Boolean(parent && parent.deleted_at);
+}
+
+async function renderAuth(req, res, mode, query) {
+    const user = await getCurrentUser(req);
+    if (user) {
+        redirect(res, '/');
+        return;
+    }
+
+    sendHtml(res, 200, renderAuthPage({
+        mode,
+        username: typeof query?.username === 'string' ? query.username : '',
+        error: query?.error
+    }));
+}
+
+async function handleLogin(req, res) {
+    if (!verifyCsrf(req, null)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: '/login' });
+        return;
+    }
+    const body = await readBody(req);
+    const { username, password } = querystring.parse(body);
+    const user = await authenticate(username, password);
+    if (!user) {
+        redirect(res, withQuery('/login', { error: 'invalidCredentials', username }));
+        return;
+    }
+
+    const token = await createSession(user.id);
+    redirect(res, '/', { 'Set-Cookie': buildSessionCookie(req, token) });
+}
+
+async function handleRegister(req, res) {
+    if (!verifyCsrf(req, null)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: '/register' });
+        return;
+    }
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const username = typeof fields.username === 'string' ? fields.username.trim() : '';
+    const password = typeof fields.password === 'string' ? fields.password : '';
+
+    const errorKey = validateCredentials(username, password);
+    if (errorKey) {
+        redirect(res, withQuery('/register', { error: errorKey, username }));
+        return;
+    }
+
+    const user = await registerUser(username, password);
+    if (!user) {
+        redirect(res, withQuery('/register', { error: 'usernameTaken', username }));
+        return;
+    }
+
+    const token = await createSession(user.id);
+    redirect(res, '/', { 'Set-Cookie': buildSessionCookie(req, token) });
+}
+
+async function handleLogout(req, res) {
+    const user = await getCurrentUser(req);
+    const fields = querystring.parse(await readBody(req));
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed');
+        return;
+    }
+    const token = getSessionToken(req);
+    if (token) {
+        await dbRun('DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+    }
+    redirect(res, '/', { 'Set-Cookie': buildSessionCookie(req, '', 0) });
+}
+
+function validateCredentials(username, password) {
+    if (!USERNAME_PATTERN.test(username)) {
+        return 'invalidUsername';
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        return 'passwordTooShort';
+    }
+    return null;
+}
+
+async function registerUser(username, password) {
+    const existing = await dbGet('SELECT id FROM users WHERE username = ?', [username]);
+    if (existing) {
+        return null;
+    }
+
+    // 第一个注册的账号自动成为管理员，便于初始化后管理留言。
+    const countRow = await dbGet('SELECT COUNT(*) AS count FROM users');
+    const role = countRow?.count ? 'user' : 'admin';
+    const passwordHash = await hashPassword(password);
+    const result = await dbRun(
+        'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, ?)',
+        [username, passwordHash, role, new Date().toISOString()]
+    );
+    return dbGet('SELECT id, username, role FROM users WHERE id = ?', [result.lastID]);
+}
+
+async function authenticate(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string' || !username.trim()) {
+        return null;
+    }
+    const row = await dbGet('SELECT id, username, role, password_hash FROM users WHERE username = ?', [username.trim()]);
+    if (!row || !(await verifyPassword(password, row.password_hash))) {
+        return null;
+    }
+    return { id: row.id, username: row.username, role: row.role };
+}
+
+const scryptAsync = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const derived = await scryptAsync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${derived.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+}
+
+async function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    await dbRun(
+        'INSERT INTO sessions (token_hash, user_id, created_at, expires_at, csrf_token) VALUES (?, ?, ?, ?, ?)',
+        [
+            hashToken(token),
+            userId,
+            new Date(now).toISOString(),
+            new Date(now + SESSION_TTL_MS).toISOString(),
+            crypto.randomBytes(24).toString('base64url')
+        ]
+    );
+    return token;
+}
+
+async function getCurrentUser(req) {
+    if (req.currentUser !== undefined) {
+        return req.currentUser;
+    }
+    const token = getSessionToken(req);
+    let user = null;
+    if (token) {
+        const tokenHash = hashToken(token);
+        const row = await dbGet(
+            `SELECT users.id, users.username, users.role, sessions.csrf_token,
+                    (SELECT COUNT(*) FROM notifications JOIN messages ON messages.id = notifications.message_id
+                     WHERE notifications.user_id = users.id AND notifications.read_at IS NULL AND ${LIVE_CONDITION}) AS unread_count
+             FROM sessions
+             JOIN users ON users.id = sessions.user_id
+             WHERE sessions.token_hash = ? AND sessions.expires_at > ?`,
+            [tokenHash, new Date().toISOString()]
+        );
+        if (row) {
+            // 升级前创建的会话没有 CSRF 令牌，首次使用时补上。
+            if (!row.csrf_token) {
+                row.csrf_token = crypto.randomBytes(24).toString('base64url');
+                await dbRun('UPDATE sessions SET csrf_token = ? WHERE token_hash = ?', [row.csrf_token, tokenHash]);
+            }
+            user = { id: row.id, username: row.username, role: row.role, csrfToken: row.csrf_token, unreadCount: Number(row.unread_count) || 0 };
+        }
+    }
+    req.currentUser = user;
+    return user;
+}
+
+function getSessionToken(req) {
+    const authorization = req.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+        return bearer[1];
+    }
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// SameSite=Lax 让跨站页面发起的 POST 不携带会话；通过 HTTPS 访问时额外加上 Secure。
+function buildSessionCookie(req, token, maxAgeMs = SESSION_TTL_MS) {
+    const secure = isSecureRequest(req) ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${token}; Path=${BASE_PATH || '/'}; HttpOnly; SameSite=Lax${secure}; Max-Age=${Math.floor(maxAgeMs / 1000)}`;
+}
+
+function isSecureRequest(req) {
+    if (req.socket.encrypted) {
+        return true;
+    }
+    return config.trustProxy && String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim() === 'https';
+}
+
+function getRequestOrigin(req) {
+    const forwardedHost = config.trustProxy ? req.headers['x-forwarded-host'] : '';
+    const host = String(forwardedHost || req.headers.host || '').split(',')[0].trim();
+    return `${isSecureRequest(req) ? 'https' : 'http'}://${host}`;
+}
+
+// 浏览器发起的跨站请求一定带有 Origin 或 Referer；两者都没有时多半是脚本，交给 CSRF 令牌把关。
+function isSameOriginRequest(req) {
+    const source = req.headers.origin || req.headers.referer;
+    if (!source) {
+        return true;
+    }
+    try {
+        return new URL(source).origin === getRequestOrigin(req);
+    } catch (error) {
+        return false;
+    }
+}
+
+// 表单提交需同时通过来源检查和与会话绑定的 CSRF 令牌；未登录的表单（登录、注册）只检查来源。
+// 使用 Bearer 令牌的请求不依赖 Cookie，不会被跨站页面冒用。
+function verifyCsrf(req, user, fields = {}) {
+    if (/^Bearer\s/i.test(req.headers.authorization || '')) {
+        return true;
+    }
+    if (!isSameOriginRequest(req)) {
+        return false;
+    }
+    if (!user) {
+        return true;
+    }
+    const expected = Buffer.from(user.csrfToken);
+    const actual = Buffer.from(typeof fields._csrf === 'string' ? fields._csrf : '');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function parseCookies(header = '') {
+    return header.split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            const value = part.slice(index + 1).trim();
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch (error) {
+                cookies[name] = value;
+            }
+        }
+        return cookies;
+    }, {});
+}
+
+function canManageMessage(user, message) {
+    if (!user || !message) {
+        return false;
+    }
+    return user.role === 'admin' || (message.author_id !== null && message.author_id === user.id);
+}
+
+const API_PREFIX = '/api/v1';
+const API_MAX_LIMIT = 100;
+
+function isApiRequest(req) {
+    const pathname = (req.url || '').split('?')[0];
+    return pathname === API_PREFIX || pathname.startsWith(`${API_PREFIX}/`);
+}
+
+async function handleApi(req, res, pathname, query) {
+    const route = pathname.slice(API_PREFIX.length) || '/';
+
+    // 依赖 Cookie 的写请求同样要求同源，并且要在 X-CSRF-Token 请求头中带上会话的 CSRF 令牌（GET /session 返回），防止其他站点借用浏览器里的会话。
+    if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)
+        && !verifyCsrf(req, await getCurrentUser(req), { _csrf: req.headers['x-csrf-token'] })) {
+        throw new HttpError(403, 'csrf_failed', 'Cross-site request rejected');
+    }
+
+    if (route === '/session') {
+        if (req.method === 'GET') {
+            await apiGetSession(req, res);
+            return;
+        }
+        if (req.method === 'POST') {
+            await apiCreateSession(req, res);
+            return;
+        }
+        if (req.method === 'DELETE') {
+            await apiDeleteSession(req, res);
+            return;
+        }
+        throw methodNotAllowed(res, ['GET', 'POST', 'DELETE']);
+    }
+
+    if (route === '/boards') {
+        if (req.method === 'GET') {
+            await apiListBoards(res);
+            return;
+        }
+        throw methodNotAllowed(res, ['GET']);
+    }
+
+    if (route === '/messages') {
+        if (req.method === 'GET') {
+            await apiListMessages(res, query);
+            return;
+        }
+        if (req.method === 'POST') {
+            await apiCreateMessage(req, res);
+            return;
+        }
+        throw methodNotAllowed(res, ['GET', 'POST']);
+    }
+
+    const messageMatch = route.match(/^\/messages\/(\d+)$/);
+    if (messageMatch) {
+        const messageId = Number(messageMatch[1]);
+        if (req.method === 'GET') {
+            await apiGetMessage(res, messageId);
+            return;
+        }
+        if (req.method === 'PATCH') {
+            await apiUpdateMessage(req, res, messageId);
+            return;
+        }
+        if (req.method === 'DELETE') {
+            await apiDeleteMessage(req, res, messageId);
+            return;
+        }
+        throw methodNotAllowed(res, ['GET', 'PATCH', 'DELETE']);
+    }
+
+    const revisionsMatch = route.match(/^\/messages\/(\d+)\/revisions$/);
+    if (revisionsMatch) {
+        if (req.method === 'GET') {
+            await apiListRevisions(res, Number(revisionsMatch[1]));
+            return;
+        }
+        throw methodNotAllowed(res, ['GET']);
+    }
+
+    const restoreMatch = route.match(/^\/messages\/(\d+)\/restore$/);
+    if (restoreMatch) {
+        if (req.method === 'POST') {
+            await apiRestoreMessage(req, res, Number(restoreMatch[1]));
+            return;
+        }
+        throw methodNotAllowed(res, ['POST']);
+    }
+
+    if (route === '/export') {
+        if (req.method === 'GET') {
+            await handleExport(req, res, query);
+            return;
+        }
+        throw methodNotAllowed(res, ['GET']);
+    }
+
+    if (route === '/import') {
+        if (req.method === 'POST') {
+            await apiImport(req, res);
+            return;
+        }
+        throw methodNotAllowed(res, ['POST']);
+    }
+
+    throw new HttpError(404, 'not_found', 'Resource not found');
+}
+
+async function apiListBoards(res) {
+    const boards = await loadBoards();
+    sendJson(res, 200, { data: boards.map(serializeBoard) });
+}
+
+// 不带 board 参数时列出所有留言板的留言。
+async function apiListMessages(res, query) {
+    const searchRaw = typeof query?.q === 'string' ? query.q.trim() : '';
+    let boardId = null;
+    if (typeof query?.board === 'string' && query.board !== '') {
+        const board = resolveBoard(await loadBoards(), query.board);
+        if (!board) {
+            throw new HttpError(404, 'not_found', 'Board not found');
+        }
+        boardId = board.id;
+    }
+    const search = buildSearchClause(searchRaw, boardId, normalizeTag(query?.tag));
+
+    const requestedLimit = parseInt(query?.limit, 10);
+    const limit = Number.isNaN(requestedLimit) ? PAGE_SIZE : Math.max(1, Math.min(API_MAX_LIMIT, requestedLimit));
+
+    const totalRow = await dbGet(`SELECT COUNT(*) AS count FROM messages ${search.clause}`, search.params);
+    const total = totalRow?.count ? Number(totalRow.count) : 0;
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+
+    const conditions = [search.condition];
+    const params = search.params.slice();
+    const hasCursor = typeof query?.cursor === 'string' && query.cursor !== '';
+    // 游标只对时间排序有意义，因此带游标时总是按时间排序；未指定 sort 时搜索结果按相关度排序。
+    let sort = 'date';
+    if (!hasCursor && query?.sort === 'reactions') {
+        sort = 'reactions';
+    } else if (!hasCursor && search.ranked && query?.sort !== 'date') {
+        sort = 'relevance';
+    }
+    const orderBy = { date: DEFAULT_ORDER, relevance: search.orderBy, reactions: REACTION_ORDER }[sort];
+    let page = null;
+    let offset = 0;
+
+    if (hasCursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (!cursor) {
+            throw new HttpError(400, 'invalid_cursor', 'Cursor is malformed');
+        }
+        conditions.push(KEYSET_BEFORE);
+        params.push(cursor.createdMs, cursor.id);
+    } else {
+        const requestedPage = parseInt(query?.page, 10);
+        page = Number.isNaN(requestedPage) || requestedPage < 1 ? 1 : requestedPage;
+        offset = (page - 1) * limit;
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit + 1, offset);
+    const rows = await dbAll(
+        `SELECT ${MESSAGE_COLUMNS}${search.columns} FROM messages ${MESSAGE_JOINS} ${search.join} ${whereClause}
+         ${orderBy} LIMIT ? OFFSET ?`,
+        params
+    );
+
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    const last = items[items.length - 1];
+    await attachAttachments(items);
+    await attachTags(items);
+    await attachReactions(items);
+
+    sendJson(res, 200, {
+        data: items.map((row) => {
+            const item = serializeMessage(row);
+            if (search.term) {
+                item.snippet = stripSnippetMarkers(row.snippet ?? buildFallbackSnippet(row.content, search.terms));
+            }
+            return item;
+        }),
+        meta: {
+            total,
+            limit,
+            page,
+            totalPages,
+            q: search.term || null,
+            tag: search.tag || null,
+            sort,
+            nextCursor: hasMore && last && sort === 'date' ? encodeCursor(last) : null
+        }
+    });
+}
+
+async function apiGetMessage(res, messageId) {
+    const row = await getMessage(messageId);
+    if (!row) {
+        throw new HttpError(404, 'not_found', 'Message not found');
+    }
+    sendJson(res, 200, { data: serializeMessage(row) });
+}
+
+async function apiCreateMessage(req, res) {
+    const user = await requireApiUser(req);
+    const body = await readJsonBody(req);
+    const content = typeof body?.content === 'string' ? body.content.trim() : '';
+    if (!content) {
+        throw new HttpError(422, 'validation_error', 'Field "content" must be a non-empty string');
+    }
+
+    const limit = await checkPostRate(req, user);
+    if (limit) {
+        res.setHeader('Retry-After', String(limit.retryAfter));
+        throw new HttpError(429, ...SPAM_API_ERRORS[limit.errorKey]);
+    }
+
+    // 回复忽略 board，总是跟随上级留言。
+    const parentId = body?.parentId ?? null;
+    let boardId;
+    if (parentId !== null) {
+        const parent = Number.isInteger(parentId) ? await dbGet('SELECT id, board_id FROM messages WHERE id = ? AND deleted_at IS NULL', [parentId]) : null;
+        if (!parent) {
+            throw new HttpError(422, 'validation_error', 'Field "parentId" must reference an existing message');
+        }
+        boardId = parent.board_id;
+    } else {
+        const board = resolveBoard(await loadBoards(), typeof body?.board === 'string' ? body.board : '');
+        if (!board) {
+            throw new HttpError(422, 'validation_error', 'Field "board" must be the slug of an existing board');
+        }
+        boardId = board.id;
+    }
+
+    const rejection = checkContentFilters(content) || await findDuplicatePost(content, user);
+    if (rejection) {
+        throw new HttpError(422, ...SPAM_API_ERRORS[rejection]);
+    }
+
+    const row = await createMessage(content, user, parentId, [], boardId);
+    if (!row) {
+        throw new HttpError(500, 'internal_error', 'Message was not stored');
+    }
+    sendJson(res, 201, { data: serializeMessage(row) }, { Location: withBase(`${API_PREFIX}/messages/${row.id}`) });
+}
+
+async function apiUpdateMessage(req, res, messageId) {
+    const user = await requireApiUser(req);
+    const body = await readJsonBody(req);
+    const content = typeof body?.content === 'string' ? body.content.trim() : '';
+    if (!content) {
+        throw new HttpError(422, 'validation_error', 'Field "content" must be a non-empty string');
+    }
+
+    const message = await getMessage(messageId);
+    if (!message) {
+        throw new HttpError(404, 'not_found', 'Message not found');
+    }
+    if (!canManageMessage(user, message)) {
+        throw new HttpError(403, 'forbidden', 'Only the author or an admin can edit this message');
+    }
+    const rejection = checkContentFilters(content);
+    if (rejection) {
+        throw new HttpError(422, ...SPAM_API_ERRORS[rejection]);
+    }
+
+    const updated = await updateMessage(message, content, user);
+    sendJson(res, 200, { data: serializeMessage(updated) });
+}
+
+async function apiListRevisions(res, messageId) {
+    const message = await getMessage(messageId);
+    if (!message) {
+        throw new HttpError(404, 'not_found', 'Message not found');
+    }
+    const versions = await loadVersions(message);
+    sendJson(res, 200, {
+        data: versions.map((version, index) => ({
+            version: index,
+            content: version.content,
+            createdAt: version.created_at,
+            current: index === versions.length - 1
+        }))
+    });
+}
+
+async function apiDeleteMessage(req, res, messageId) {
+    const user = await requireApiUser(req);
+    const message = await dbGet('SELECT id, author_id FROM messages WHERE id = ? AND deleted_at IS NULL', [messageId]);
+    if (!message) {
+        throw new HttpError(404, 'not_found', 'Message not found');
+    }
+    if (!canManageMessage(user, message)) {
+        throw new HttpError(403, 'forbidden', 'Only the author or an admin can delete this message');
+    }
+    await trashMessageTree(messageId, user);
+    res.writeHead(204);
+    res.end();
+}
+
+async function apiRestoreMessage(req, res, messageId) {
+    const user = await requireApiUser(req);
+    const message = await getTrashedMessage(messageId);
+    if (!message) {
+        throw new HttpError(404, 'not_found', 'Message is not in the trash');
+    }
+    if (!canManageMessage(user, message)) {
+        throw new HttpError(403, 'forbidden', 'Only the author or an admin can restore this message');
+    }
+    if (await isParentTrashed(message)) {
+        throw new HttpError(409, 'parent_deleted', 'Restore the parent message first');
+    }
+    await restoreMessageTree(message);
+    sendJson(res, 200, { data: serializeMessage(await getMessage(messageId)) });
+}
+
+async function apiGetSession(req, res) {
+    const user = await requireApiUser(req);
+    sendJson(res, 200, { data: { user: serializeUser(user), csrfToken: user.csrfToken } });
+}
+
+async function apiCreateSession(req, res) {
+    const body = await readJsonBody(req);
+    const user = await authenticate(body?.username, body?.password);
+    if (!user) {
+        throw new HttpError(401, 'invalid_credentials', 'Username or password is incorrect');
+    }
+    const token = await createSession(user.id);
+    sendJson(res, 201, { data: { token, user: serializeUser(user) } }, { 'Set-Cookie': buildSessionCookie(req, token) });
+}
+
+async function apiDeleteSession(req, res) {
+    await requireApiUser(req);
+    await dbRun('DELETE FROM sessions WHERE token_hash = ?', [hashToken(getSessionToken(req))]);
+    res.writeHead(204, { 'Set-Cookie': buildSessionCookie(req, '', 0) });
+    res.end();
+}
+
+async function apiImport(req, res) {
+    const user = await requireApiUser(req);
+    if (user.role !== 'admin') {
+        throw new HttpError(403, 'forbidden', 'Only admins can import messages');
+    }
+    const body = await readRawBody(req, MAX_IMPORT_SIZE);
+    const records = parseImportFile(body.toString('utf8'), req.headers['content-type'] || '');
+    sendJson(res, 200, { data: await importMessages(records) });
+}
+
+async function requireApiUser(req) {
+    const user = await getCurrentUser(req);
+    if (!user) {
+        throw new HttpError(401, 'unauthorized', 'Authentication required');
+    }
+    return user;
+}
+
+function methodNotAllowed(res, allowed) {
+    res.setHeader('Allow', allowed.join(', '));
+    return new HttpError(405, 'method_not_allowed', 'Method not allowed');
+}
+
+function serializeMessage(row) {
+    return {
+        id: row.id,
+        content: row.content,
+        author: row.author_id ? { id: row.author_id, username: row.author_name } : null,
+        parentId: row.parent_id ?? null,
+        board: row.board_slug ?? null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at ?? null,
+        protectedAt: row.protected_at ?? null,
+        pinnedAt: row.pinned_at ?? null,
+        pinnedUntil: row.pinned_at ? row.pinned_until ?? null : null,
+        tags: row.tags || [],
+        reactions: (row.reactions || []).map(({ emoji, count }) => ({ emoji, count })),
+        attachments: (row.attachments || []).map(serializeAttachment)
+    };
+}
+
+function serializeBoard(board) {
+    return {
+        slug: board.slug,
+        name: board.name,
+        description: board.description,
+        default: board.isDefault
+    };
+}
+
+function serializeAttachment(attachment) {
+    return {
+        id: attachment.id,
+        name: attachment.original_name,
+        mimeType: attachment.mime_type,
+        size: attachment.size,
+        url: withBase(`/uploads/${attachment.stored_name}`)
+    };
+}
+
+function serializeUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        role: user.role
+    };
+}
+
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.created_ms, row.id]), 'utf8').toString('base64url');
+}
+
+function decodeCursor(value) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        // 旧版游标的第一项是 ISO 时间字符串，这里一并换算成毫秒。
+        const createdMs = typeof createdAt === 'string' ? Date.parse(createdAt) : createdAt;
+        if (!Number.isInteger(createdMs) || !Number.isInteger(id)) {
+            return null;
+        }
+        return { createdMs, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+async function handleEdit(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const { id, message } = fields;
+    const messageId = parseInt(id, 10);
+    const content = typeof message === 'string' ? message.trim() : '';
+    const { page, filters } = parseListFields(fields);
+    const backPath = buildListPath(page, filters);
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath });
+        return;
+    }
+
+    const existing = Number.isNaN(messageId) ? null : await getMessage(messageId);
+    if (!existing) {
+        redirect(res, backPath);
+        return;
+    }
+    if (!canManageMessage(user, existing)) {
+        redirect(res, withQuery(backPath, { error: user ? 'forbidden' : 'loginRequired' }));
+        return;
+    }
+    const rejection = content ? checkContentFilters(content) : null;
+    if (rejection) {
+        redirect(res, withQuery(backPath, { error: rejection }));
+        return;
+    }
+    if (content) {
+        await updateMessage(existing, content, user);
+    }
+
+    redirect(res, `${backPath}#message-${messageId}`);
+}
+
+// 回应需要登录，同一用户再次点同一个表情即取消。前端脚本提交时带 fragment=1，只返回该留言新的回应区 HTML；
+// 没有脚本时按普通表单处理，完成后回到原来的列表位置。
+async function handleReact(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const messageId = parseInt(fields.id, 10);
+    const { page, filters } = parseListFields(fields);
+    const backPath = buildListPath(page, filters);
+    const fragment = fields.fragment === '1';
+    const fail = (status, errorKey) => {
+        if (fragment) {
+            res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end(errorKey);
+            return;
+        }
+        redirect(res, withQuery(backPath, { error: errorKey }));
+    };
+
+    if (!verifyCsrf(req, user, fields)) {
+        if (fragment) {
+            fail(403, 'csrfFailed');
+            return;
+        }
+        sendNoticePage(res, 403, 'csrfFailed', { backPath });
+        return;
+    }
+    if (!user) {
+        fail(401, 'loginRequired');
+        return;
+    }
+    const message = Number.isNaN(messageId)
+        ? null
+        : await dbGet(`SELECT id FROM messages WHERE id = ? AND ${LIVE_CONDITION}`, [messageId]);
+    if (!message || !REACTION_EMOJIS.includes(fields.emoji)) {
+        fail(404, 'reactionInvalid');
+        return;
+    }
+
+    const removed = await dbRun(
+        'DELETE FROM reactions WHERE message_id = ? AND user_id = ? AND emoji = ?',
+        [messageId, user.id, fields.emoji]
+    );
+    if (!removed.changes) {
+        await dbRun(
+            'INSERT INTO reactions (message_id, user_id, emoji, created_at) VALUES (?, ?, ?, ?)',
+            [messageId, user.id, fields.emoji, new Date().toISOString()]
+        );
+    }
+
+    if (fragment) {
+        const updated = await getMessage(messageId, user);
+        sendHtml(res, 200, renderReactions(updated, { user, currentPage: page, filters }), { 'Cache-Control': 'no-store' });
+        return;
+    }
+    redirect(res, `${backPath}#message-${messageId}`);
+}
+
+// 只有管理员可以保护主题（顶层留言）；受保护的主题不会被保留策略归档，但仍可以手动删除。
+async function handleProtect(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const messageId = parseInt(fields.id, 10);
+    const { page, filters } = parseListFields(fields);
+    const backPath = buildListPath(page, filters);
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath });
+        return;
+    }
+    if (!user || user.role !== 'admin') {
+        redirect(res, withQuery(backPath, { error: user ? 'forbidden' : 'loginRequired' }));
+        return;
+    }
+
+    const message = Number.isNaN(messageId) ? null : await getMessage(messageId);
+    if (!message || message.parent_id !== null) {
+        redirect(res, backPath);
+        return;
+    }
+    const protect = fields.protect === '1';
+    if (protect !== Boolean(message.protected_at)) {
+        await dbRun(
+            'UPDATE messages SET protected_at = ?, protected_by = ? WHERE id = ?',
+            [protect ? new Date().toISOString() : null, protect ? user.id : null, messageId]
+        );
+        emitMessageEvent('message.updated', serializeMessage(await getMessage(messageId)));
+    }
+    redirect(res, `${backPath}#message-${messageId}`);
+}
+
+// 只有管理员可以置顶主题（顶层留言）。pinned_until 为可选的截止日期（YYYY-MM-DD），置顶到当天结束（服务器时区）为止。
+async function handlePin(req, res) {
+    const user = await getCurrentUser(req);
+    const body = await readBody(req);
+    const fields = querystring.parse(body);
+    const messageId = parseInt(fields.id, 10);
+    const { page, filters } = parseListFields(fields);
+    const backPath = buildListPath(page, filters);
+
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath });
+        return;
+    }
+    if (!user || user.role !== 'admin') {
+        redirect(res, withQuery(backPath, { error: user ? 'forbidden' : 'loginRequired' }));
+        return;
+    }
+
+    const message = Number.isNaN(messageId) ? null : await getMessage(messageId);
+    if (!message || message.parent_id !== null) {
+        redirect(res, backPath);
+        return;
+    }
+    const pin = fields.pin === '1';
+    let pinnedUntil = null;
+    if (pin && fields.pinned_until) {
+        const until = /^\d{4}-\d{2}-\d{2}$/.test(fields.pinned_until) ? new Date(`${fields.pinned_until}T23:59:59.999`) : null;
+        if (!until || Number.isNaN(until.getTime()) || until.getTime() <= Date.now()) {
+            redirect(res, withQuery(backPath, { error: 'pinExpiryInvalid' }));
+            return;
+        }
+        pinnedUntil = until.toISOString();
+    }
+    await dbRun(
+        'UPDATE messages SET pinned_at = ?, pinned_by = ?, pinned_until = ? WHERE id = ?',
+        [pin ? new Date().toISOString() : null, pin ? user.id : null, pinnedUntil, messageId]
+    );
+    emitMessageEvent('message.updated', serializeMessage(await getMessage(messageId)));
+    redirect(res, `${backPath}#message-${messageId}`);
+}
+
+// 修改前先把旧内容存入 message_revisions，created_at 记录该版本最初写入的时间。
+async function updateMessage(message, content, editor) {
+    if (content === message.content) {
+        return message;
+    }
+    const now = new Date().toISOString();
+    await dbRun(
+        'INSERT INTO message_revisions (message_id, content, created_at, edited_by, replaced_at) VALUES (?, ?, ?, ?, ?)',
+        [message.id, message.content, message.updated_at || message.created_at, editor.id, now]
+    );
+    await dbRun(
+        'UPDATE messages SET content = ?, updated_at = ?, content_html = ?, content_html_version = ? WHERE id = ?',
+        [content, now, renderMarkdown(content), RENDER_VERSION, message.id]
+    );
+    await syncMessageTags(message.id, content);
+    await createNotifications(message.id, content, editor);
+    const updated = await getMessage(message.id);
+    emitMessageEvent('message.updated', serializeMessage(updated));
+    return updated;
+}
+
+async function loadVersions(message) {
+    const revisions = await dbAll(
+        'SELECT content, created_at FROM message_revisions WHERE message_id = ? ORDER BY id ASC',
+        [message.id]
+    );
+    return revisions.concat({ content: message.content, created_at: message.updated_at || message.created_at });
+}
+
+async function renderRevisions(req, res, messageId) {
+    const user = await getCurrentUser(req);
+    const message = await getMessage(messageId);
+    if (!message) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('404 Not Found');
+        return;
+    }
+
+    const versions = await loadVersions(message);
+    const boardSlug = resolveBoard(await loadBoards(), message.board_slug)?.pathSlug ?? '';
+    sendHtml(res, 200, renderRevisionsPage({ user, message, versions, boardSlug }));
+}
+
+// 留言流：每个连接订阅 messageEvents，并定期发送注释行保持连接不被代理断开。
+function handleEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const listener = ({ type, payload }) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    };
+    const heartbeat = setInterval(() => {
+        res.write(': ping\n\n');
+    }, SSE_HEARTBEAT_MS);
+
+    messageEvents.on('event', listener);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        messageEvents.off('event', listener);
+    });
+}
+
+// Webhook：留言事件先写入 webhook_deliveries 队列再异步投递，失败按指数退避重试，重启后继续处理未完成的投递。
+async function enqueueWebhookDeliveries(event, data) {
+    const webhooks = await dbAll('SELECT id, events FROM webhooks WHERE active = 1');
+    const targets = webhooks.filter((webhook) => webhook.events.split(',').includes(event));
+    for (const webhook of targets) {
+        await queueWebhookDelivery(webhook.id, event, data);
+    }
+    if (targets.length) {
+        processWebhookQueue();
+    }
+}
+
+async function queueWebhookDelivery(webhookId, event, data) {
+    const now = new Date().toISOString();
+    const payload = JSON.stringify({ event, created_at: now, data });
+    await dbRun(
+        'INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [webhookId, event, payload, now, now, now]
+    );
+}
+
+let webhookQueueRunning = false;
+
+// 同一时间只有一轮投递；本轮结束前新加入的投递会在下一次查询中取到，漏掉的由定时轮询兜底。
+async function processWebhookQueue() {
+    if (webhookQueueRunning) {
+        return;
+    }
+    webhookQueueRunning = true;
+    try {
+        for (;;) {
+            const due = await dbAll(
+                `SELECT webhook_deliveries.*, webhooks.url, webhooks.secret
+                 FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+                 WHERE webhook_deliveries.status = 'pending' AND webhooks.active = 1 AND webhook_deliveries.next_attempt_at <= ?
+                 ORDER BY webhook_deliveries.id ASC LIMIT ?`,
+                [new Date().toISOString(), WEBHOOK_BATCH_SIZE]
+            );
+            if (!due.length) {
+                break;
+            }
+            await Promise.all(due.map((delivery) => deliverWebhook(delivery)));
+        }
+    } catch (error) {
+        console.error('Webhook delivery failed:', error);
+    } finally {
+        webhookQueueRunning = false;
+    }
+}
+
+// 签名覆盖时间戳和请求体：X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, "<timestamp>.<body>")。
+async function deliverWebhook(delivery) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', delivery.secret).update(`${timestamp}.${delivery.payload}`).digest('hex');
+    let responseStatus = null;
+    let errorMessage = null;
+    try {
+        responseStatus = await postWebhook(delivery.url, delivery.payload, {
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery.id),
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signature}`
+        });
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    let status = 'succeeded';
+    let nextAttemptAt = null;
+    if (!(responseStatus >= 200 && responseStatus < 300)) {
+        status = attempts >= WEBHOOK_MAX_ATTEMPTS ? 'failed' : 'pending';
+        if (status === 'pending') {
+            nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+        }
+    }
+    await dbRun(
+        `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, error = ?, updated_at = ?
+         WHERE id = ?`,
+        [status, attempts, nextAttemptAt, responseStatus, errorMessage, new Date().toISOString(), delivery.id]
+    );
+}
+
+// 只看状态码，不读取响应内容，也不跟随重定向。
+function postWebhook(targetUrl, body, headers) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(targetUrl);
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            timeout: WEBHOOK_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'message-board-webhook',
+                ...headers
+            }
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('timeout', () => request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS / 1000}s`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function purgeWebhookDeliveries() {
+    const cutoff = new Date(Date.now() - WEBHOOK_LOG_RETENTION_MS).toISOString();
+    return dbRun("DELETE FROM webhook_deliveries WHERE status != 'pending' AND updated_at < ?", [cutoff]);
+}
+
+function parseWebhookUrl(value) {
+    try {
+        const target = new URL(String(value || '').trim());
+        return ['http:', 'https:'].includes(target.protocol) && target.href.length <= 2000 ? target.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function renderWebhooks(req, res, query) {
+    const user = await getCurrentUser(req);
+    if (!user || user.role !== 'admin') {
+        redirect(res, user ? withQuery('/', { error: 'forbidden' }) : withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+    const webhooks = await dbAll('SELECT * FROM webhooks ORDER BY id ASC');
+    webhooks.forEach((webhook) => {
+        webhook.events = webhook.events.split(',');
+    });
+    const deliveries = await dbAll(
+        `SELECT webhook_deliveries.id, webhook_deliveries.event, webhook_deliveries.status, webhook_deliveries.attempts,
+                webhook_deliveries.next_attempt_at, webhook_deliveries.response_status, webhook_deliveries.error,
+                webhook_deliveries.created_at, webhook_deliveries.updated_at, webhooks.url
+         FROM webhook_deliveries JOIN webhooks ON webhooks.id = webhook_deliveries.webhook_id
+         ORDER BY webhook_deliveries.id DESC LIMIT ?`,
+        [WEBHOOK_LOG_LIMIT]
+    );
+    sendHtml(res, 200, renderWebhooksPage({ user, webhooks, deliveries, events: WEBHOOK_EVENTS, error: query?.error }));
+}
+
+// 管理页面上的各个按钮都提交到 /admin/webhooks/<动作>，返回值为要显示的错误键。
+const WEBHOOK_ACTIONS = {
+    async create(fields, user) {
+        const targetUrl = parseWebhookUrl(fields.url);
+        if (!targetUrl) {
+            return 'webhookUrlInvalid';
+        }
+        const events = WEBHOOK_EVENTS.filter((event) => [].concat(fields.events || []).includes(event));
+        if (!events.length) {
+            return 'webhookEventsRequired';
+        }
+        await dbRun(
+            'INSERT INTO webhooks (url, secret, events, created_by, created_at) VALUES (?, ?, ?, ?, ?)',
+            [targetUrl, crypto.randomBytes(24).toString('hex'), events.join(','), user.id, new Date().toISOString()]
+        );
+        return null;
+    },
+    async toggle(fields) {
+        await dbRun('UPDATE webhooks SET active = 1 - active WHERE id = ?', [parseInt(fields.id, 10)]);
+        processWebhookQueue();
+        return null;
+    },
+    async delete(fields) {
+        const webhookId = parseInt(fields.id, 10);
+        await dbRun('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+        await dbRun('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+        return null;
+    },
+    async test(fields) {
+        const webhook = await dbGet('SELECT id FROM webhooks WHERE id = ?', [parseInt(fields.id, 10)]);
+        if (webhook) {
+            await queueWebhookDelivery(webhook.id, 'ping', { webhook_id: webhook.id });
+            processWebhookQueue();
+        }
+        return null;
+    },
+    // 手动重投只再尝试一次；仍然失败时保持 failed 状态，不会重新开始退避。
+    async retry(fields) {
+        await dbRun(
+            "UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = ?, updated_at = ? WHERE id = ? AND status = 'failed'",
+            [new Date().toISOString(), new Date().toISOString(), parseInt(fields.delivery, 10)]
+        );
+        processWebhookQueue();
+        return null;
+    }
+};
+
+async function handleWebhookAction(req, res, action) {
+    const user = await getCurrentUser(req);
+    const fields = querystring.parse(await readBody(req));
+    if (!verifyCsrf(req, user, fields)) {
+        sendNoticePage(res, 403, 'csrfFailed', { backPath: '/admin/webhooks' });
+        return;
+    }
+    if (!user || user.role !== 'admin') {
+        redirect(res, user ? withQuery('/', { error: 'forbidden' }) : withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+    const errorKey = await action(fields, user);
+    redirect(res, withQuery('/admin/webhooks', { error: errorKey }));
+}
+
+async function renderCardFragment(req, res, messageId, query) {
+    const user = await getCurrentUser(req);
+    const message = await getMessage(messageId, user);
+    if (!message) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('404 Not Found');
+        return;
+    }
+
+    const depth = Math.max(0, Math.min(MAX_REPLY_DEPTH, parseInt(query?.depth, 10) || 0));
+    const currentPage = Math.max(1, parseInt(query?.page, 10) || 1);
+    const board = resolveBoard(await loadBoards(), message.board_slug);
+    const context = {
+        user,
+        canManage: (item) => canManageMessage(user, item),
+        currentPage,
+        filters: { board: board ? board.pathSlug : '' },
+        childrenByParent: new Map()
+    };
+    sendHtml(res, 200, renderMessageCard(message, context, depth), { 'Cache-Control': 'no-store' });
+}
+
+// 导出按 id 分批读取并逐条写入响应，避免一次性把整个数据库载入内存。
+const EXPORT_FORMATS = {
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        start: ({ exportedAt, query }) => `{"exportedAt":${JSON.stringify(exportedAt)},"query":${JSON.stringify(query || null)},"messages":[\n`,
+        item: (row, index) => `${index ? ',\n' : ''}${JSON.stringify(serializeMessage(row))}`,
+        end: () => '\n]}\n'
+    },
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        start: () => `\uFEFF${toCsvRow(CSV_COLUMNS)}`,
+        item: (row) => toCsvRow([row.id, row.parent_id, row.board_slug, row.author_name, row.created_at, row.updated_at, row.content]),
+        end: () => ''
+    },
+    md: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        start: ({ exportedAt, query }) => `# 简易留言板导出\n\n- 导出时间：${exportedAt}\n${query ? `- 筛选条件：\`${query}\`\n` : ''}`,
+        item: (row) => {
+            const heading = `### #${row.id} · ${row.author_name || '匿名'} · ${row.created_at}`;
+            const meta = [
+                row.parent_id ? `> 回复 #${row.parent_id}` : '',
+                row.board_slug ? `> 留言板 ${row.board_slug}` : '',
+                row.updated_at ? `> 编辑于 ${row.updated_at}` : ''
+            ].filter(Boolean).join('\n');
+            const attachments = (row.attachments || [])
+                .map((item) => `- [${item.original_name}](${withBase(`/uploads/${item.stored_name}`)})`)
+                .join('\n');
+            return `\n---\n\n${heading}\n\n${meta ? `${meta}\n\n` : ''}${row.content}\n${attachments ? `\n${attachments}\n` : ''}`;
+        },
+        end: () => ''
+    }
+};
+
+// 订阅源与首页第一页使用同一查询：未搜索时是最新的主题，带 q 时是最新的匹配留言（含回复）。
+const FEED_FORMATS = {
+    '/feed.xml': { contentType: 'application/atom+xml; charset=utf-8', render: renderAtomFeed },
+    '/rss.xml': { contentType: 'application/rss+xml; charset=utf-8', render: renderRssFeed },
+    '/feed.json': { contentType: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+// board 为空时输出默认留言板。
+async function handleFeed(req, res, format, query, board = null) {
+    const currentBoard = board || (await loadBoards())[0];
+    const search = buildSearchClause(typeof query?.q === 'string' ? query.q.trim() : '', currentBoard.id, normalizeTag(query?.tag));
+    const { messages } = await loadMessageList(search, { page: 1 }, DEFAULT_ORDER);
+    await attachAttachments(messages);
+    await attachContentHtml(messages);
+
+    const origin = getRequestOrigin(req);
+    const baseUrl = `${origin}${withBase('/')}`;
+    const siteUrl = `${origin}${withBase(boardPath(currentBoard.pathSlug))}`;
+    const title = currentBoard.isDefault ? translate('headerTitle') : translate('feedTitleBoard', { board: currentBoard.name });
+    const toIso = (value) => {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? new Date(0).toISOString() : date.toISOString();
+    };
+    const items = messages.map((message) => {
+        const published = toIso(message.created_at);
+        const updated = message.updated_at ? toIso(message.updated_at) : published;
+        return {
+            id: message.id,
+            url: `${siteUrl}#message-${message.id}`,
+            title: buildItemTitle(message.content, message.id),
+            author: message.author_name || translate('anonymousAuthor'),
+            published,
+            updated: updated > published ? updated : published,
+            contentHtml: resolveMentions(message.content_html, (username) => `${origin}${withBase(buildListPath(1, { q: `@${username}`, board: currentBoard.pathSlug }))}`),
+            attachments: message.attachments.map((attachment) => ({
+                url: `${origin}${withBase(`/uploads/${attachment.stored_name}`)}`,
+                name: attachment.original_name,
+                type: attachment.mime_type,
+                size: attachment.size
+            }))
+        };
+    });
+    // 最后修改时间取列表中最新的发布或编辑时间；空列表时用 Unix 纪元，保证输出稳定。
+    const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0).toISOString());
+    const filter = [search.term, search.tag && `#${search.tag}`].filter(Boolean).join(' ');
+    const filterQuery = { q: search.term, tag: search.tag };
+    const body = format.render({
+        title: filter ? translate('feedTitleFiltered', { title, term: filter }) : title,
+        subtitle: currentBoard.description || translate('feedSubtitle'),
+        baseUrl,
+        siteUrl: withQuery(siteUrl, filterQuery),
+        feedUrl: `${origin}${withBase(withQuery(url.parse(req.url).pathname, filterQuery))}`,
+        updated,
+        items
+    });
+
+    const lastModified = new Date(updated);
+    lastModified.setMilliseconds(0);
+    const etag = `"${crypto.createHash('sha256').update(body).digest('hex').slice(0, 16)}"`;
+    const headers = {
+        'Content-Type': format.contentType,
+        ETag: etag,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+    };
+    // 有 If-None-Match 时以 ETag 为准，只有客户端没带 ETag 才比较 If-Modified-Since。
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = req.headers['if-none-match']
+        ? matchesEtag(req, etag)
+        : !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+    if (notModified) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    const buffer = Buffer.from(body, 'utf8');
+    headers['Content-Length'] = buffer.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : buffer);
+}
+
+const CSV_COLUMNS = ['id', 'parent_id', 'board', 'author', 'created_at', 'updated_at', 'content'];
+
+async function handleExport(req, res, query) {
+    const user = await getCurrentUser(req);
+    if (!user || user.role !== 'admin') {
+        if (isApiRequest(req)) {
+            throw user
+                ? new HttpError(403, 'forbidden', 'Only admins can export messages')
+                : new HttpError(401, 'unauthorized', 'Authentication required');
+        }
+        redirect(res, user ? withQuery('/', { error: 'forbidden' }) : withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+
+    const format = Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, query?.format) ? query.format : 'json';
+    const writer = EXPORT_FORMATS[format];
+    // source=archive 导出被保留策略归档的留言，格式与普通导出相同，可以直接再导入；归档不支持搜索。
+    const archive = query?.source === 'archive';
+    const search = buildSearchClause(!archive && typeof query?.q === 'string' ? query.q : '');
+    const exportedAt = new Date().toISOString();
+
+    res.writeHead(200, {
+        'Content-Type': writer.contentType,
+        'Content-Disposition': `attachment; filename="${archive ? 'archive' : 'messages'}-${exportedAt.slice(0, 10)}.${writer.extension}"`,
+        'Cache-Control': 'no-store'
+    });
+    res.write(writer.start({ exportedAt, query: search.term }));
+
+    const conditions = [search.condition, 'messages.id > ?'];
+    let lastId = 0;
+    let index = 0;
+    while (!res.destroyed) {
+        const rows = archive
+            ? await loadArchivedMessages(lastId, EXPORT_BATCH_SIZE)
+            : await dbAll(
+                `SELECT ${MESSAGE_COLUMNS} FROM messages ${MESSAGE_JOINS} ${search.join}
+                 WHERE ${conditions.join(' AND ')} ORDER BY messages.id ASC LIMIT ?`,
+                [...search.params, lastId, EXPORT_BATCH_SIZE]
+            );
+        if (!rows.length) {
+            break;
+        }
+        if (!archive) {
+            await attachAttachments(rows);
+            await attachTags(rows);
+            await attachReactions(rows);
+        }
+        for (const row of rows) {
+            if (!res.write(writer.item(row, index))) {
+                await once(res, 'drain');
+            }
+            index += 1;
+        }
+        lastId = rows[rows.length - 1].id;
+    }
+    res.end(writer.end());
+}
+
+async function handleImport(req, res) {
+    const user = await getCurrentUser(req);
+    if (!user) {
+        redirect(res, withQuery('/login', { error: 'loginRequired' }));
+        return;
+    }
+    if (user.role !== 'admin') {
+        redirect(res, withQuery('/', { error: 'forbidden' }));
+        return;
+    }
+
+    let result = null;
+    let errorMessage = '';
+    try {
+        const contentType = req.headers['content-type'] || '';
+        const boundary = contentType.match(/^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;\s]+))/i);
+        if (!boundary) {
+            throw new HttpError(415, 'unsupported_media_type', '请通过导入表单上传文件。');
+        }
+        const { fields, files } = parseMultipart(await readRawBody(req, MAX_IMPORT_SIZE), boundary[1] || boundary[2]);
+        if (!verifyCsrf(req, user, fields)) {
+            sendNoticePage(res, 403, 'csrfFailed');
+            return;
+        }
+        const file = files.find((item) => item.field === 'file');
+        if (!file) {
+            throw new HttpError(422, 'invalid_import', '请选择要导入的文件。');
+        }
+        result = await importMessages(parseImportFile(file.data.toString('utf8'), file.filename));
+    } catch (error) {
+        if (!(error instanceof HttpError) || error.status >= 500) {
+            throw error;
+        }
+        errorMessage = error.status === 413 ? '导入文件过大。' : error.message;
+    }
+
+    sendHtml(res, result ? 200 : 422, renderImportResultPage({ user, result, errorMessage }));
+}
+
+// 接受本程序导出的 JSON（对象或数组）与 CSV；Markdown 归档只用于阅读，不能导回。
+function parseImportFile(text, hint = '') {
+    const source = text.replace(/^\uFEFF/, '');
+    const trimmed = source.trim();
+    if (!trimmed) {
+        throw new HttpError(422, 'invalid_import', '导入文件为空。');
+    }
+
+    if (/json/i.test(hint) || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new HttpError(400, 'invalid_json', '导入文件不是有效的 JSON。');
+        }
+        const list = Array.isArray(data) ? data : data?.messages;
+        if (!Array.isArray(list)) {
+            throw new HttpError(422, 'invalid_import', 'JSON 中缺少 messages 数组。');
+        }
+        return list.map((item) => ({
+            id: item?.id ?? null,
+            parentId: item?.parentId ?? item?.parent_id ?? null,
+            board: typeof item?.board === 'string' ? item.board : null,
+            author: typeof item?.author === 'object' && item.author ? item.author.username : item?.author ?? null,
+            createdAt: item?.createdAt ?? item?.created_at,
+            updatedAt: item?.updatedAt ?? item?.updated_at ?? null,
+            content: item?.content
+        }));
+    }
+
+    const [header = [], ...rows] = parseCsv(source);
+    const columns = header.map((name) => name.trim().toLowerCase());
+    if (!columns.includes('content') || !columns.includes('created_at')) {
+        throw new HttpError(422, 'invalid_import', `CSV 表头需包含 ${CSV_COLUMNS.join(', ')}。`);
+    }
+    const pick = (row, name) => {
+        const position = columns.indexOf(name);
+        return position === -1 || row[position] === '' ? null : row[position];
+    };
+    return rows.map((row) => ({
+        id: pick(row, 'id') === null ? null : Number(pick(row, 'id')),
+        parentId: pick(row, 'parent_id') === null ? null : Number(pick(row, 'parent_id')),
+        board: pick(row, 'board'),
+        author: pick(row, 'author'),
+        createdAt: pick(row, 'created_at'),
+        updatedAt: pick(row, 'updated_at'),
+        content: pick(row, 'content') ?? ''
+    }));
+}
+
+// 导入在一个事务中完成（与保留策略清理等其他事务依次进行）：父留言先于回复写入，内容、作者与发布时间都相同的未删除留言视为重复；
+// 回复跟随上级留言所在的留言板，顶层留言按 board 匹配，找不到时归入默认留言板。
+// 写入后立即按保留策略清理一轮，被归档的条数计入 trimmed。
+async function importMessages(records) {
+    const result = { imported: 0, duplicates: 0, invalid: [], trimmed: 0 };
+    const valid = [];
+    records.forEach((record, index) => {
+        const content = typeof record.content === 'string' ? record.content.trim() : '';
+        const createdAt = new Date(record.createdAt ?? NaN);
+        const updatedAt = record.updatedAt ? new Date(record.updatedAt) : null;
+        let reason = '';
+        if (!content) {
+            reason = 'content 不能为空';
+        } else if (Number.isNaN(createdAt.getTime())) {
+            reason = 'created_at 不是有效的时间';
+        } else if (updatedAt && Number.isNaN(updatedAt.getTime())) {
+            reason = 'updated_at 不是有效的时间';
+        } else if (record.id !== null && !Number.isInteger(record.id)) {
+            reason = 'id 必须是整数';
+        } else if (record.parentId !== null && !Number.isInteger(record.parentId)) {
+            reason = 'parent_id 必须是整数';
+        }
+        if (reason) {
+            result.invalid.push({ index, reason });
+            return;
+        }
+        valid.push({
+            index,
+            id: record.id,
+            parentId: record.parentId,
+            board: typeof record.board === 'string' ? record.board.toLowerCase() : null,
+            author: typeof record.author === 'string' ? record.author : null,
+            content,
+            createdAt: createdAt.toISOString(),
+            updatedAt: updatedAt ? updatedAt.toISOString() : null
+        });
+    });
+
+    const fileIds = new Set(valid.map((record) => record.id).filter((id) => id !== null));
+    const users = await dbAll('SELECT id, username FROM users');
+    const userIds = new Map(users.map((item) => [item.username.toLowerCase(), item.id]));
+    const boards = await loadBoards();
+    const boardIds = new Map(boards.map((board) => [board.slug.toLowerCase(), board.id]));
+    const idMap = new Map();
+
+    let pending = valid.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.index - b.index);
+    const countRow = await dbGet('SELECT COUNT(*) AS count FROM messages WHERE deleted_at IS NULL');
+    await withTransaction(async () => {
+        while (pending.length) {
+            const deferred = [];
+            for (const record of pending) {
+                // 父留言不在本次文件中（例如按搜索条件导出的子集）时作为顶层留言导入。
+                const parentInFile = record.parentId !== null && fileIds.has(record.parentId) && record.parentId !== record.id;
+                if (parentInFile && !idMap.has(record.parentId)) {
+                    deferred.push(record);
+                    continue;
+                }
+                const parentId = parentInFile ? idMap.get(record.parentId) : null;
+                const authorId = record.author ? userIds.get(record.author.toLowerCase()) ?? null : null;
+                // 按 created_ms 查找走 idx_messages_created_ms 索引；回收站中的留言不算重复，恢复备份时会重新导入。
+                const existing = await dbGet(
+                    'SELECT id FROM messages WHERE created_ms = ? AND content = ? AND author_id IS ? AND deleted_at IS NULL LIMIT 1',
+                    [Date.parse(record.createdAt), record.content, authorId]
+                );
+                if (existing) {
+                    result.duplicates += 1;
+                    if (record.id !== null) {
+                        idMap.set(record.id, existing.id);
+                    }
+                    continue;
+                }
+                const inserted = await dbRun(
+                    `INSERT INTO messages (content, created_at, updated_at, author_id, parent_id, board_id)
+                     VALUES (?, ?, ?, ?, ?, COALESCE((SELECT board_id FROM messages WHERE id = ?), ?))`,
+                    [
+                        record.content,
+                        record.createdAt,
+                        record.updatedAt,
+                        authorId,
+                        parentId,
+                        parentId,
+                        (record.board && boardIds.get(record.board)) || boards[0].id
+                    ]
+                );
+                await syncMessageTags(inserted.lastID, record.content);
+                if (record.id !== null) {
+                    idMap.set(record.id, inserted.lastID);
+                }
+                result.imported += 1;
+            }
+            if (deferred.length === pending.length) {
+                // 剩下的记录互相引用成环，无法确定父子顺序。
+                deferred.forEach((record) => result.invalid.push({ index: record.index, reason: 'parent_id 形成循环引用' }));
+                break;
+            }
+            pending = deferred;
+        }
+    });
+
+    await runRetentionSweep();
+    const totalRow = await dbGet('SELECT COUNT(*) AS count FROM messages WHERE deleted_at IS NULL');
+    result.trimmed = Math.max(0, Number(countRow.count) + result.imported - Number(totalRow.count));
+    result.invalid.sort((a, b) => a.index - b.index);
+    return result;
+}
+
+async function runImportCommand(filePath) {
+    if (!filePath) {
+        console.error('用法：node server.js import <file.json|file.csv>');
+        process.exitCode = 1;
+        return;
+    }
+    await initializeDatabase();
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const result = await importMessages(parseImportFile(text, path.extname(filePath)));
+    console.log(`已导入 ${result.imported} 条，重复 ${result.duplicates} 条，无效 ${result.invalid.length} 条，归档 ${result.trimmed} 条。`);
+    result.invalid.forEach((item) => console.log(`  #${item.index + 1}: ${item.reason}`));
+}
+
+// node server.js migrate [status]：查看迁移状态，或备份后执行尚未应用的迁移（无需启动服务）。
+async function runMigrateCommand(action = 'up') {
+    if (action === 'status') {
+        const status = await getMigrationStatus(migrationDb);
+        console.log(`数据库 ${DB_PATH}：当前版本 ${status.current}，最新版本 ${status.latest}`);
+        status.migrations.forEach((migration) => {
+            console.log(`  ${migration.applied ? '✓' : '·'} ${migration.version} ${migration.name}${migration.applied ? '' : '（待执行）'}`);
+        });
+        return;
+    }
+    if (action !== 'up') {
+        console.error('用法：node server.js migrate [status]');
+        process.exitCode = 1;
+        return;
+    }
+    const result = await runMigrations(migrationDb, { backupDir: BACKUP_DIR, dbPath: DB_PATH });
+    if (!result.applied.length) {
+        console.log(`数据库已是最新版本 ${result.to}。`);
+        return;
+    }
+    result.applied.forEach((migration) => console.log(`已应用 ${migration.version} ${migration.name}`));
+    if (result.backupPath) {
+        console.log(`迁移前的备份：${result.backupPath}`);
+    }
+}
+
+function toCsvRow(values) {
+    return `${values
+        .map((value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        })
+        .join(',')}\r\n`;
+}
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let index = 0; index < text.length; index += 1) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index += 1;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter((item) => item.length > 1 || item[0] !== '');
+}
+
+const SNIPPET_OPEN = '\u0002';
+const SNIPPET_CLOSE = '\u0003';
+const MIN_FTS_TERM_LENGTH = 3;
+const SEARCH_DATE_PATTERN = /^(before|after):(\d{4}-\d{2}-\d{2})$/i;
+
+// 支持的语法：空格分隔的词（全部匹配）、"带引号的短语"、-排除词、A OR B、before:YYYY-MM-DD、after:YYYY-MM-DD。
+function parseSearchQuery(input) {
+    const query = { groups: [], excludes: [], before: null, after: null };
+    const tokenPattern = /(-?)"([^"]*)"?|(\S+)/g;
+    let pendingOr = false;
+    let match;
+
+    while ((match = tokenPattern.exec(input)) !== null) {
+        const [, negated, phrase, word] = match;
+        let term = phrase !== undefined ? phrase.trim() : word;
+        let exclude = phrase !== undefined && negated === '-';
+
+        if (phrase === undefined) {
+            if (word === 'OR') {
+                pendingOr = query.groups.length > 0;
+                continue;
+            }
+            const dateMatch = word.match(SEARCH_DATE_PATTERN);
+            if (dateMatch && !Number.isNaN(Date.parse(dateMatch[2]))) {
+                query[dateMatch[1].toLowerCase()] = dateMatch[2];
+                continue;
+            }
+            if (word.length > 1 && word.startsWith('-')) {
+                exclude = true;
+                term = word.slice(1);
+            }
+        }
+
+        if (!term) {
+            continue;
+        }
+        if (exclude) {
+            query.excludes.push(term);
+        } else if (pendingOr) {
+            query.groups[query.groups.length - 1].push(term);
+        } else {
+            query.groups.push([term]);
+        }
+        pendingOr = false;
+    }
+
+    return query;
+}
+
+// 长度不少于 3 的词走 FTS5 索引并按相关度排序；更短的词 trigram 无法匹配，退回 LIKE。
+// boardId 不为空时只在该留言板内查找。
+// tag 为已规范化的标签名，和搜索词同时给出时两个条件都要满足。
+// excludePinned 时排除置顶中的主题，首页把它们单独显示在列表上方。
+function buildSearchClause(input = '', boardId = null, tag = '', { excludePinned = false } = {}) {
+    const term = input.trim();
+    // 回收站中的留言始终被排除，调用方拿到的 clause / condition 都不会为空。
+    const baseConditions = [LIVE_CONDITION];
+    const baseParams = [];
+    if (excludePinned) {
+        baseConditions.push(`NOT (${PINNED_CONDITION})`);
+    }
+    if (boardId !== null) {
+        baseConditions.push('messages.board_id = ?');
+        baseParams.push(boardId);
+    }
+    if (tag) {
+        baseConditions.push('messages.id IN (SELECT message_tags.message_id FROM message_tags JOIN tags ON tags.id = message_tags.tag_id WHERE tags.name = ?)');
+        baseParams.push(tag);
+    }
+    const baseCondition = baseConditions.join(' AND ');
+    const empty = { clause: `WHERE ${baseCondition}`, join: '', condition: baseCondition, params: baseParams, term: '', tag, terms: [], columns: '', orderBy: DEFAULT_ORDER, ranked: false };
+    if (!term) {
+        return empty;
+    }
+
+    const { groups, excludes, before, after } = parseSearchQuery(term);
+    const conditions = [];
+    const params = [];
+    const ftsGroups = [];
+    const likePattern = (value) => `%${value.replace(/([%_\\])/g, '\\$1')}%`;
+
+    groups.forEach((group) => {
+        if (group.every((value) => value.length >= MIN_FTS_TERM_LENGTH)) {
+            ftsGroups.push(group.length > 1 ? `(${group.map(quoteFtsTerm).join(' OR ')})` : quoteFtsTerm(group[0]));
+            return;
+        }
+        conditions.push(`(${group.map(() => "messages.content LIKE ? ESCAPE '\\'").join(' OR ')})`);
+        params.push(...group.map(likePattern));
+    });
+
+    const ftsExcludes = excludes.filter((value) => value.length >= MIN_FTS_TERM_LENGTH).map(quoteFtsTerm);
+    excludes
+        .filter((value) => value.length < MIN_FTS_TERM_LENGTH)
+        .forEach((value) => {
+            conditions.push("messages.content NOT LIKE ? ESCAPE '\\'");
+            params.push(likePattern(value));
+        });
+
+    let join = '';
+    let ranked = false;
+    if (ftsGroups.length) {
+        const expression = ftsGroups.join(' AND ');
+        join = 'JOIN messages_fts ON messages_fts.rowid = messages.id';
+        conditions.unshift('messages_fts MATCH ?');
+        params.unshift(ftsExcludes.length ? `(${expression}) NOT (${ftsExcludes.join(' OR ')})` : expression);
+        ranked = true;
+    } else if (ftsExcludes.length) {
+        conditions.push('messages.id NOT IN (SELECT rowid FROM messages_fts WHERE messages_fts MATCH ?)');
+        params.push(ftsExcludes.join(' OR '));
+    }
+
+    if (after) {
+        conditions.push('messages.created_ms >= ?');
+        params.push(Date.parse(after));
+    }
+    if (before) {
+        conditions.push('messages.created_ms < ?');
+        params.push(Date.parse(before));
+    }
+
+    if (!conditions.length) {
+        return { ...empty, term };
+    }
+
+    const condition = [...baseConditions, ...conditions].join(' AND ');
+    return {
+        clause: `${join} WHERE ${condition}`,
+        join,
+        condition,
+        params: [...baseParams, ...params],
+        term,
+        tag,
+        terms: groups.flat(),
+        columns: ranked ? `, snippet(messages_fts, 0, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', 48) AS snippet` : '',
+        orderBy: ranked ? `ORDER BY bm25(messages_fts), ${DEFAULT_ORDER.slice('ORDER BY '.length)}` : DEFAULT_ORDER,
+        ranked
+    };
+}
+
+function quoteFtsTerm(value) {
+    return `"${value.replace(/"/g, '""')}"`;
+}
+
+// 没有 FTS 片段时（例如只用了短词），截取第一个命中位置附近的文字并手动标记。
+function buildFallbackSnippet(content, terms) {
+    const lower = content.toLowerCase();
+    const hits = terms
+        .map((value) => ({ value, index: lower.indexOf(value.toLowerCase()) }))
+        .filter((hit) => hit.index >= 0)
+        .sort((a, b) => a.index - b.index);
+    const first = hits[0];
+    const start = first ? Math.max(0, first.index - 40) : 0;
+    const end = Math.min(content.length, start + 160);
+    let excerpt = content.slice(start, end);
+    hits.forEach(({ value }) => {
+        const pattern = new RegExp(value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+        excerpt = excerpt.replace(pattern, (found) => `${SNIPPET_OPEN}${found}${SNIPPET_CLOSE}`);
+    });
+    return `${start > 0 ? '…' : ''}${excerpt}${end < content.length ? '…' : ''}`;
+}
+
+function renderSnippet(message, search) {
+    const snippet = message.snippet ?? buildFallbackSnippet(message.content, search.terms);
+    if (!snippet.includes(SNIPPET_OPEN)) {
+        return '';
+    }
+    return escapeHtml(snippet)
+        .split(SNIPPET_OPEN).join('<mark class="rounded bg-amber-200/80 px-0.5 text-slate-900 dark:bg-amber-400/30 dark:text-amber-100">')
+        .split(SNIPPET_CLOSE).join('</mark>');
+}
+
+function stripSnippetMarkers(snippet) {
+    return snippet.split(SNIPPET_OPEN).join('').split(SNIPPET_CLOSE).join('');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (chunk) => {
+            data += chunk.toString('utf8');
+            if (data.length > 1e6) {
+                req.socket.destroy();
+                reject(new HttpError(413, 'payload_too_large', 'Request body too large'));
+            }
+        });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+// 与 readBody 不同，超限后继续读完请求体再返回 413，便于页面表单照常重定向并提示错误；
+// 超出两倍上限的请求直接断开连接。
+function readRawBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit * 2) {
+                req.socket.destroy();
+                reject(new HttpError(413, 'payload_too_large', 'Request body too large'));
+            } else if (size <= limit) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            if (size > limit) {
+                reject(new HttpError(413, 'payload_too_large', 'Request body too large'));
+                return;
+            }
+            resolve(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
+function parseMultipart(buffer, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const fields = Object.create(null);
+    const files = [];
+    let position = buffer.indexOf(delimiter);
+    while (position !== -1) {
+        const start = position + delimiter.length;
+        if (buffer.subarray(start, start + 2).toString('latin1') === '--') {
+            break;
+        }
+        const next = buffer.indexOf(delimiter, start);
+        if (next === -1) {
+            break;
+        }
+        // 每个分段形如 "\r\n头部\r\n\r\n内容\r\n"，去掉首尾换行后拆分头部和内容。
+        const part = buffer.subarray(start + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const data = part.subarray(headerEnd + 4);
+            const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+            const name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+            const filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+            if (name !== undefined && filename !== undefined) {
+                // 未选择文件时浏览器仍会提交一个空的文件分段。
+                if (data.length) {
+                    files.push({ field: name, filename, data });
+                }
+            } else if (name !== undefined && !(name in fields)) {
+                fields[name] = data.toString('utf8');
+            }
+        }
+        position = next;
+    }
+    return { fields, files };
+}
+
+async function readSubmission(req) {
+    const contentType = req.headers['content-type'] || '';
+    const boundary = contentType.match(/^multipart\/form-data;.*\bboundary=(?:"([^"]+)"|([^;\s]+))/i);
+    if (boundary) {
+        const body = await readRawBody(req, MAX_MULTIPART_SIZE);
+        return parseMultipart(body, boundary[1] || boundary[2]);
+    }
+    return { fields: querystring.parse(await readBody(req)), files: [] };
+}
+
+async function readJsonBody(req) {
+    const contentType = req.headers['content-type'] || '';
+    if (!/^application\/json\b/i.test(contentType)) {
+        throw new HttpError(415, 'unsupported_media_type', 'Content-Type must be application/json');
+    }
+    const body = await readBody(req);
+    if (!body.trim()) {
+        return {};
+    }
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+    }
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+function sendJsonError(res, status, code, message) {
+    sendJson(res, status, { error: { code, message } });
+}
+
+function sendHtml(res, status, html, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(html);
+}
+
+// 以 / 开头的应用内路径在这里统一加上 BASE_PATH，调用方无需关心部署路径。
+function redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location.startsWith('/') ? withBase(location) : location, ...headers });
+    res.end();
+}
+
+const [command, ...commandArgs] = process.argv.slice(2);
+
+if (command === 'import') {
+    runImportCommand(commandArgs[0])
+        .catch((error) => {
+            console.error(error instanceof HttpError ? error.message : error);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+} else if (command === 'migrate') {
+    runMigrateCommand(commandArgs[0])
+        .catch((error) => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => db.close());
+} else {
+    initializeDatabase()
+        .then(() => runRetentionSweep())
+        .then(() => purgeExpiredTrash())
+        .then(() => {
+            setInterval(() => {
+                runRetentionSweep().catch((error) => console.error('Retention sweep failed:', error));
+            }, RETENTION_SWEEP_INTERVAL_MS).unref();
+            setInterval(() => {
+                purgeExpiredTrash().catch((error) => console.error('Trash purge failed:', error));
+                purgeWebhookDeliveries().catch((error) => console.error('Webhook log purge failed:', error));
+            }, TRASH_PURGE_INTERVAL_MS).unref();
+            messageEvents.on('event', ({ type, payload }) => {
+                enqueueWebhookDeliveries(type, payload).catch((error) => console.error('Webhook enqueue failed:', error));
+            });
+            setInterval(processWebhookQueue, WEBHOOK_POLL_INTERVAL_MS).unref();
+            processWebhookQueue();
+            server.listen(PORT, HOST || undefined, () => {
+                console.log(`服务器运行在 http://${HOST || 'localhost'}:${PORT}${BASE_PATH}/`);
+                if (config.configFile) {
+                    console.log(`已加载配置文件 ${config.configFile}`);
+                }
+            });
+        })
+        .catch((error) => {
+            console.error('Database initialization failed:', error);
+            process.exit(1);
+        });
+}
 
 process.on('SIGINT', () => {
     db.close(() => {
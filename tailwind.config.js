@@ -0,0 +1,14 @@
+// 由 `npm run build:css` 生成 public/styles.css；修改 server.js、views/ 或 public/app.js 中的类名后需要重新生成。
+module.exports = {
+    content: ['./server.js', './views/**/*.js', './public/app.js'],
+    darkMode: 'class',
+    theme: {
+        extend: {
+            fontFamily: {
+                sans: ['Inter', 'system-ui', 'sans-serif'],
+                mono: ['JetBrains Mono', 'monospace']
+            }
+        }
+    },
+    plugins: [require('@tailwindcss/typography')]
+};
@@ -0,0 +1,119 @@
+const { translate } = require('../i18n');
+const { renderPlainText } = require('../markdown');
+
+const TITLE_LENGTH = 80;
+
+// feed 为 { title, subtitle, baseUrl, siteUrl, feedUrl, updated, items }，链接都是绝对地址；baseUrl 为站点根地址，siteUrl 为带搜索词的首页地址；
+// item 为 { id, url, title, author, published, updated, contentHtml, attachments: [{ url, name, type, size }] }。
+function renderAtomFeed(feed) {
+    const entries = feed.items.map((item) => `
+    <entry>
+        <id>${escapeXml(item.url)}</id>
+        <title>${escapeXml(item.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+        <author><name>${escapeXml(item.author)}</name></author>
+        <published>${item.published}</published>
+        <updated>${item.updated}</updated>
+        <content type="html">${escapeXml(item.contentHtml)}</content>${item.attachments.map((attachment) => `
+        <link rel="enclosure" href="${escapeXml(attachment.url)}" type="${escapeXml(attachment.type)}" length="${attachment.size}" title="${escapeXml(attachment.name)}"/>`).join('')}
+    </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:base="${escapeXml(feed.baseUrl)}">
+    <id>${escapeXml(feed.feedUrl)}</id>
+    <title>${escapeXml(feed.title)}</title>
+    <subtitle>${escapeXml(feed.subtitle)}</subtitle>
+    <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+    <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+    <updated>${feed.updated}</updated>${entries}
+</feed>
+`;
+}
+
+function renderRssFeed(feed) {
+    // RSS 2.0 只允许一个 enclosure，取第一个附件；其余附件的链接仍在正文里。
+    const items = feed.items.map((item) => {
+        const enclosure = item.attachments[0];
+        return `
+        <item>
+            <guid isPermaLink="true">${escapeXml(item.url)}</guid>
+            <title>${escapeXml(item.title)}</title>
+            <link>${escapeXml(item.url)}</link>
+            <dc:creator>${escapeXml(item.author)}</dc:creator>
+            <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+            <description>${escapeXml(item.contentHtml)}</description>${enclosure ? `
+            <enclosure url="${escapeXml(enclosure.url)}" type="${escapeXml(enclosure.type)}" length="${enclosure.size}"/>` : ''}
+        </item>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <channel>
+        <title>${escapeXml(feed.title)}</title>
+        <link>${escapeXml(feed.siteUrl)}</link>
+        <description>${escapeXml(feed.subtitle)}</description>
+        <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.feedUrl)}"/>
+        <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>${items}
+    </channel>
+</rss>
+`;
+}
+
+function renderJsonFeed(feed) {
+    const payload = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.subtitle,
+        home_page_url: feed.siteUrl,
+        feed_url: feed.feedUrl,
+        items: feed.items.map((item) => ({
+            id: item.url,
+            url: item.url,
+            title: item.title,
+            content_html: item.contentHtml,
+            date_published: item.published,
+            date_modified: item.updated,
+            authors: [{ name: item.author }],
+            ...(item.attachments.length ? {
+                attachments: item.attachments.map((attachment) => ({
+                    url: attachment.url,
+                    mime_type: attachment.type,
+                    title: attachment.name,
+                    size_in_bytes: attachment.size
+                }))
+            } : {})
+        }))
+    };
+    return `${JSON.stringify(payload, null, 2)}\n`;
+}
+
+// 条目标题取渲染后正文的第一行非空文字并截断；只有代码块或空白的留言退回到“留言 #id”。
+function buildItemTitle(content, id) {
+    const line = renderPlainText(content)
+        .split('\n')
+        .map((text) => text.trim())
+        .find(Boolean);
+    if (!line) {
+        return translate('feedItemUntitled', { id });
+    }
+    const chars = Array.from(line);
+    return chars.length > TITLE_LENGTH ? `${chars.slice(0, TITLE_LENGTH - 1).join('')}…` : line;
+}
+
+// 除了转义五个特殊字符，还要去掉 XML 1.0 不允许出现的控制字符，否则整份订阅会解析失败。
+function escapeXml(value = '') {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = {
+    buildItemTitle,
+    renderAtomFeed,
+    renderJsonFeed,
+    renderRssFeed
+};
@@ -0,0 +1,104 @@
+const querystring = require('querystring');
+const { getConfig } = require('../config');
+const { translate } = require('../i18n');
+const { resolveMentions } = require('../markdown');
+
+// 页面先按默认语言（中文）输出文字，浏览器端再根据 data-i18n 切换语言；返回值已转义，可直接写入 HTML。
+function t(key, params = {}) {
+    return escapeHtml(translate(key, params));
+}
+
+function withBase(location) {
+    return `${getConfig().basePath}${location}`;
+}
+
+function withQuery(location, params) {
+    const entries = Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    if (!entries.length) {
+        return location;
+    }
+    const separator = location.includes('?') ? '&' : '?';
+    return `${location}${separator}${querystring.stringify(Object.fromEntries(entries))}`;
+}
+
+// 默认留言板的页面直接挂在根路径下，其他留言板挂在 /b/<slug> 下；boardSlug 为空表示默认留言板。
+function boardPath(boardSlug, location = '/') {
+    if (!boardSlug) {
+        return location;
+    }
+    return `/b/${encodeURIComponent(boardSlug)}${location === '/' ? '' : location}`;
+}
+
+// filters 为列表的筛选条件 { q, board, tag, sort }，各项为空时省略。
+function buildListPath(page, { q = '', board = '', tag = '', sort = '' } = {}) {
+    return withQuery(boardPath(board), { page: page > 1 ? page : null, q, tag, sort });
+}
+
+// 留言正文里提到的用户链接到所在留言板对“@用户名”的搜索；board 为留言板的路径 slug，默认留言板为空。
+function renderContentHtml(html, board) {
+    return resolveMentions(html, (username) => withBase(buildListPath(1, { q: `@${username}`, board })));
+}
+
+function renderCsrfField(user) {
+    return user ? `<input type="hidden" name="_csrf" value="${escapeAttribute(user.csrfToken)}">` : '';
+}
+
+function formatDisplayTime(isoString) {
+    const date = isoString ? new Date(isoString) : new Date();
+    if (Number.isNaN(date.getTime())) {
+        return new Date().toLocaleString('zh-CN', { hour12: false });
+    }
+    return date.toLocaleString('zh-CN', { hour12: false });
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function escapeAttribute(value = '') {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+function escapeTextarea(value = '') {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeHtml(value = '') {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\r?\n/g, '<br>');
+}
+
+module.exports = {
+    boardPath,
+    buildListPath,
+    escapeAttribute,
+    escapeHtml,
+    escapeTextarea,
+    formatDisplayTime,
+    formatFileSize,
+    renderContentHtml,
+    renderCsrfField,
+    t,
+    withBase,
+    withQuery
+};
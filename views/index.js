@@ -0,0 +1,26 @@
+// 服务端页面模板：pages/ 为完整页面，partials/ 为可复用的片段，helpers.js 为转义、格式化和链接工具。
+const { renderAuthPage } = require('./pages/auth');
+const { renderBoardsPage } = require('./pages/boards');
+const { renderHomePage } = require('./pages/home');
+const { renderImportResultPage } = require('./pages/import-result');
+const { renderInboxPage } = require('./pages/inbox');
+const { renderNoticePage } = require('./pages/notice');
+const { renderRevisionsPage } = require('./pages/revisions');
+const { renderTrashPage } = require('./pages/trash');
+const { renderWebhooksPage } = require('./pages/webhooks');
+const { groupByParent, renderMessageCard, renderReactions } = require('./partials/message-card');
+
+module.exports = {
+    groupByParent,
+    renderAuthPage,
+    renderBoardsPage,
+    renderHomePage,
+    renderImportResultPage,
+    renderInboxPage,
+    renderMessageCard,
+    renderNoticePage,
+    renderReactions,
+    renderRevisionsPage,
+    renderTrashPage,
+    renderWebhooksPage
+};
@@ -0,0 +1,62 @@
+const { staticUrl } = require('../assets');
+const { getConfig } = require('../config');
+const { escapeAttribute, t } = require('./helpers');
+
+// head 为页面额外需要的 <head> 内容（如订阅源的 alternate 链接），须已转义。
+function renderLayout({ titleKey = 'headerTitle', head = '', content }) {
+    return `
+        <!DOCTYPE html>
+        <html lang="zh-CN">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1">
+            <title>${t(titleKey)}</title>
+            <script>
+                (function() {
+                    try {
+                        const storedTheme = localStorage.getItem('theme');
+                        const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+                        if (storedTheme === 'dark' || (!storedTheme && prefersDark)) {
+                            document.documentElement.classList.add('dark');
+                        }
+                    } catch (error) {
+                        // 忽略访问本地存储失败的情况
+                    }
+                })();
+            </script>
+            <link rel="stylesheet" href="${staticUrl('styles.css')}">
+            <link rel="stylesheet" href="${staticUrl('vendor/highlight-github.min.css')}">${head}
+            <style>
+                :root {
+                    color-scheme: light;
+                }
+
+                .dark {
+                    color-scheme: dark;
+                }
+
+                .code-block-wrapper pre,
+                .code-block-wrapper pre code {
+                    background: transparent !important;
+                }
+
+                .code-block-wrapper pre {
+                    font-family: 'JetBrains Mono', ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace;
+                }
+            </style>
+        </head>
+        <body data-title-key="${escapeAttribute(titleKey)}" data-base-path="${escapeAttribute(getConfig().basePath)}" class="min-h-screen bg-slate-100 font-sans text-slate-900 transition-colors duration-300 dark:bg-slate-950 dark:text-slate-100">
+            <main class="mx-auto w-full max-w-5xl px-4 py-8 sm:px-6 lg:px-8 xl:px-10">
+                ${content}
+            </main>
+            <script src="${staticUrl('vendor/highlight.min.js')}"></script>
+            <script src="${staticUrl('locales.js')}"></script>
+            <script src="${staticUrl('app.js')}"></script>
+        </body>
+        </html>
+    `;
+}
+
+module.exports = {
+    renderLayout
+};
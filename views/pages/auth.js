@@ -0,0 +1,48 @@
+const { MIN_PASSWORD_LENGTH } = require('../../constants');
+const { escapeAttribute, t, withBase } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderHeaderControls } = require('../partials/header');
+const { renderNotice } = require('../partials/notice');
+
+// mode 为 'login' 或 'register'，两者共用同一个表单。
+function renderAuthPage({ mode, username = '', error }) {
+    const isLogin = mode === 'login';
+    const titleKey = isLogin ? 'loginTitle' : 'registerTitle';
+    const buttonKey = isLogin ? 'loginButton' : 'registerButton';
+    const content = `
+                <div class="mx-auto flex w-full max-w-md flex-col gap-6">
+                    <div class="flex flex-wrap items-center justify-between gap-3">
+                        <a href="${withBase('/')}" class="text-lg font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="headerTitle">${t('headerTitle')}</a>
+                        <div class="flex items-center gap-3">
+                            ${renderHeaderControls(null)}
+                        </div>
+                    </div>
+                    <section class="rounded-3xl border border-slate-200 bg-white/85 p-6 shadow-lg shadow-slate-200/50 backdrop-blur transition-colors duration-300 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
+                        <h1 class="mb-4 text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="${titleKey}">${t(titleKey)}</h1>
+                        ${renderNotice(error)}
+                        <form action="${withBase(isLogin ? '/login' : '/register')}" method="post" class="space-y-4">
+                            <label class="block space-y-1 text-sm">
+                                <span class="font-medium text-slate-600 dark:text-slate-300" data-i18n="usernameLabel">${t('usernameLabel')}</span>
+                                <input type="text" name="username" value="${escapeAttribute(username)}" required autocomplete="username" class="block w-full rounded-xl border border-slate-200 bg-slate-50/80 px-3 py-2 text-sm text-slate-800 shadow-inner shadow-slate-200 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-100 dark:shadow-slate-900/30">
+                            </label>
+                            <label class="block space-y-1 text-sm">
+                                <span class="font-medium text-slate-600 dark:text-slate-300" data-i18n="passwordLabel">${t('passwordLabel')}</span>
+                                <input type="password" name="password" required ${isLogin ? 'autocomplete="current-password"' : `autocomplete="new-password" minlength="${MIN_PASSWORD_LENGTH}"`} class="block w-full rounded-xl border border-slate-200 bg-slate-50/80 px-3 py-2 text-sm text-slate-800 shadow-inner shadow-slate-200 focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-100 dark:shadow-slate-900/30">
+                            </label>
+                            <div class="flex items-center justify-between gap-3">
+                                ${isLogin
+                                    ? `<a href="${withBase('/register')}" class="text-xs font-medium text-slate-500 transition hover:text-indigo-600 dark:text-slate-400 dark:hover:text-indigo-300" data-i18n="noAccount">${t('noAccount')}</a>`
+                                    : `<a href="${withBase('/login')}" class="text-xs font-medium text-slate-500 transition hover:text-indigo-600 dark:text-slate-400 dark:hover:text-indigo-300" data-i18n="haveAccount">${t('haveAccount')}</a>`}
+                                <button type="submit" class="inline-flex items-center justify-center rounded-xl bg-indigo-600 px-5 py-2 text-sm font-semibold text-white shadow-sm shadow-indigo-300 transition hover:-translate-y-0.5 hover:bg-indigo-500 hover:shadow-md focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="${buttonKey}">${t(buttonKey)}</button>
+                            </div>
+                        </form>
+                    </section>
+                </div>
+    `;
+
+    return renderLayout({ titleKey, content });
+}
+
+module.exports = {
+    renderAuthPage
+};
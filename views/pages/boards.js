@@ -0,0 +1,78 @@
+const { boardPath, escapeAttribute, escapeHtml, renderCsrfField, t, withBase } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderPageHeader } = require('../partials/header');
+const { renderNotice } = require('../partials/notice');
+
+const POLICIES = ['count', 'age', 'unlimited'];
+
+const INPUT_CLASSES = 'rounded-xl border border-slate-200 bg-white px-3 py-2 text-slate-700 focus:border-indigo-300 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-100 dark:focus:border-indigo-400 dark:focus:ring-indigo-400/30';
+const LABEL_CLASSES = 'text-xs font-medium text-slate-500 dark:text-slate-400';
+const SMALL_BUTTON = 'rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300';
+
+// defaults 为全局保留配置 { policy, maxMessages, maxAgeDays }，用作各板留空字段的占位提示。
+function renderBoardsPage({ user, boards, defaults, error }) {
+    const csrfField = renderCsrfField(user);
+    const field = (labelKey, input) => `
+                            <label class="flex flex-col gap-1">
+                                <span class="${LABEL_CLASSES}" data-i18n="${labelKey}">${t(labelKey)}</span>
+                                ${input}
+                            </label>`;
+    const boardFields = (board = {}) => `
+                        <div class="grid gap-3 sm:grid-cols-2">${field('boardSlugLabel', `<input type="text" name="slug" required maxlength="32" pattern="[a-z0-9](?:[a-z0-9\\-]{0,30}[a-z0-9])?" value="${escapeAttribute(board.slug || '')}" placeholder="release-notes" class="${INPUT_CLASSES} font-mono">`)}${field('boardNameLabel', `<input type="text" name="name" required maxlength="50" value="${escapeAttribute(board.name || '')}" class="${INPUT_CLASSES}">`)}
+                        </div>${field('boardDescriptionLabel', `<input type="text" name="description" maxlength="200" value="${escapeAttribute(board.description || '')}" class="${INPUT_CLASSES}">`)}
+                        <div class="grid gap-3 sm:grid-cols-3">${field('boardPolicyLabel', `<select name="retention_policy" class="${INPUT_CLASSES}">
+                                    <option value="" data-i18n="boardPolicyDefault" data-policy="${defaults.policy}">${t('boardPolicyDefault', { policy: defaults.policy })}</option>
+                                    ${POLICIES.map((policy) => `<option value="${policy}"${board.retention_policy === policy ? ' selected' : ''}>${policy}</option>`).join('')}
+                                </select>`)}${field('boardMaxMessagesLabel', `<input type="number" name="max_messages" min="1" value="${board.max_messages ?? ''}" placeholder="${defaults.maxMessages}" class="${INPUT_CLASSES}">`)}${field('boardMaxAgeLabel', `<input type="number" name="max_message_age_days" min="1" value="${board.max_message_age_days ?? ''}" placeholder="${defaults.maxAgeDays || ''}" class="${INPUT_CLASSES}">`)}
+                        </div>`;
+
+    const boardItems = boards
+        .map((board) => `
+                    <li class="rounded-2xl border border-slate-200 bg-white/95 p-5 shadow-sm shadow-slate-100/60 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
+                        <div class="mb-3 flex flex-wrap items-center justify-between gap-2">
+                            <p class="flex flex-wrap items-center gap-2 text-sm">
+                                <a href="${escapeAttribute(withBase(boardPath(board.pathSlug)))}" class="font-semibold text-indigo-600 transition hover:text-indigo-500 dark:text-indigo-300 dark:hover:text-indigo-200">${escapeHtml(board.name)}</a>
+                                <code class="text-xs text-slate-400 dark:text-slate-500">${escapeHtml(boardPath(board.pathSlug))}</code>${board.isDefault ? `
+                                <span class="rounded-full bg-indigo-100 px-2 py-0.5 text-[10px] font-semibold text-indigo-600 dark:bg-indigo-500/20 dark:text-indigo-200" data-i18n="boardDefaultBadge">${t('boardDefaultBadge')}</span>` : ''}
+                            </p>
+                            <span class="text-xs text-slate-400 dark:text-slate-500" data-i18n="statsTotal" data-count="${board.messageCount}">${t('statsTotal', { count: board.messageCount })}</span>
+                        </div>
+                        <form action="${withBase('/admin/boards/update')}" method="post" class="flex flex-col gap-3 text-sm">
+                            ${csrfField}
+                            <input type="hidden" name="id" value="${board.id}">${boardFields(board)}
+                            <div class="flex flex-wrap items-center gap-2">
+                                <button type="submit" class="${SMALL_BUTTON}" data-i18n="boardSaveButton">${t('boardSaveButton')}</button>
+                            </div>
+                        </form>${board.isDefault ? '' : `
+                        <form action="${withBase('/admin/boards/delete')}" method="post" class="mt-2" data-confirm="boardDeleteConfirm">
+                            ${csrfField}
+                            <input type="hidden" name="id" value="${board.id}">
+                            <button type="submit" class="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-600 transition hover:bg-rose-100 hover:text-rose-700 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200 dark:hover:bg-rose-500/20" data-i18n="deleteButton">${t('deleteButton')}</button>
+                        </form>`}
+                    </li>`)
+        .join('');
+
+    const content = `
+                <div class="flex flex-col gap-6">${renderPageHeader(user)}
+                    <div>
+                        <h1 class="text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="boardsTitle">${t('boardsTitle')}</h1>
+                        <p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="boardsSubtitle">${t('boardsSubtitle')}</p>
+                    </div>${renderNotice(error)}
+                    <form action="${withBase('/admin/boards/create')}" method="post" class="flex flex-col gap-3 rounded-2xl border border-slate-200 bg-white/95 p-5 text-sm dark:border-slate-800 dark:bg-slate-900/80">
+                        ${csrfField}${boardFields()}
+                        <div>
+                            <button type="submit" class="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400" data-i18n="boardAddButton">${t('boardAddButton')}</button>
+                        </div>
+                    </form>
+                    <ul class="space-y-4">
+                        ${boardItems}
+                    </ul>
+                </div>
+    `;
+
+    return renderLayout({ titleKey: 'boardsTitle', content });
+}
+
+module.exports = {
+    renderBoardsPage
+};
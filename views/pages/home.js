@@ -0,0 +1,228 @@
+const { boardPath, buildListPath, escapeAttribute, escapeHtml, renderCsrfField, t, withBase, withQuery } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderComposer } = require('../partials/composer');
+const { renderHeaderControls } = require('../partials/header');
+const { renderFilterFields, renderMessageCard } = require('../partials/message-card');
+const { renderNotice } = require('../partials/notice');
+const { renderPagination } = require('../partials/pagination');
+
+// 订阅源带上当前搜索词，方便直接订阅筛选后的结果。
+const FEEDS = [
+    { path: '/feed.xml', type: 'application/atom+xml', label: 'Atom' },
+    { path: '/rss.xml', type: 'application/rss+xml', label: 'RSS' },
+    { path: '/feed.json', type: 'application/feed+json', label: 'JSON Feed' }
+];
+
+// board 为当前留言板，boards 为全部留言板（用于切换），retention 为当前板生效的保留策略，pinnedMessages 为置顶中的主题（不在 messages 中）；
+// tag 为正在筛选的标签，topTags 为当前板的热门标签 [{ name, count }]，sort 为空（按时间）或 reactions（按回应数）；
+// undoMessageId 为刚被当前用户移入回收站、可以撤销的留言。
+function renderHomePage({ user, board, boards, retention, canManage, messages, pinnedMessages, childrenByParent, searchTerm, tag, sort, topTags, totalMessages, currentPage, totalPages, newerCursor, olderCursor, error, undoMessageId }) {
+    const searchValueAttr = escapeAttribute(searchTerm);
+    const boardSlug = board.pathSlug;
+    const filtered = Boolean(searchTerm || tag);
+    const filters = { q: searchTerm, board: boardSlug, tag, sort };
+    const context = { user, canManage, currentPage, filters, childrenByParent };
+
+    const listHtml = messages
+        .map((message) => renderMessageCard(message, context))
+        .join('');
+
+    const emptyTag = `
+            <li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-empty data-i18n="emptyTag" data-tag="${escapeAttribute(tag)}">
+                ${t('emptyTag', { tag })}
+            </li>
+        `;
+    const listItems = listHtml || (tag && !searchTerm ? emptyTag : searchTerm
+        ? `
+            <li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-empty data-i18n="emptySearch" data-term="${searchValueAttr}">
+                ${t('emptySearch', { term: searchTerm })}
+            </li>
+        `
+        : `
+            <li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-empty data-i18n="emptyDefault">
+                ${t('emptyDefault')}
+            </li>
+        `);
+
+    const statsKey = filtered ? 'statsMatches' : 'statsTotal';
+
+    const content = `
+                <div class="flex flex-col gap-6">
+                <section class="rounded-3xl border border-slate-200 bg-white/85 p-6 shadow-lg shadow-slate-200/50 backdrop-blur transition-colors duration-300 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
+                    <div class="mb-6 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                        <div>
+                            <h1 class="text-2xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="headerTitle">${t('headerTitle')}</h1>
+                            <p class="text-sm text-slate-500 dark:text-slate-400"><span data-i18n="headerSubtitle">${t('headerSubtitle')}</span> ${renderRetentionNote(retention)}</p>${board.description ? `
+                            <p class="mt-1 text-sm text-slate-600 dark:text-slate-300">${escapeHtml(board.description)}</p>` : ''}
+                        </div>
+                        <div class="flex items-center gap-3 self-end sm:self-auto">
+                            <span class="inline-flex items-center rounded-full bg-slate-100 px-3 py-1 text-xs font-medium text-slate-600 dark:bg-slate-800/80 dark:text-slate-300" data-i18n="${statsKey}" data-count="${totalMessages}">${t(statsKey, { count: totalMessages })}</span>
+                            ${renderHeaderControls(user)}
+                        </div>
+                    </div>
+                    ${renderBoardSwitcher(boards, board)}
+                    ${renderNotice(error)}
+                    ${renderComposer(user, boardSlug)}
+                </section>
+                <section class="rounded-3xl border border-slate-200 bg-white/85 p-5 shadow-sm shadow-slate-200/40 transition-colors dark:border-slate-800 dark:bg-slate-900/70 dark:shadow-slate-900/40">
+                    <div class="mb-3 flex flex-wrap items-center justify-between gap-2">
+                        <div class="flex flex-wrap items-center gap-2">
+                            <h2 class="text-sm font-semibold text-slate-700 dark:text-slate-200" data-i18n="searchTitle">${t('searchTitle')}</h2>
+                            <span class="text-xs font-normal text-slate-400 dark:text-slate-500" data-i18n="searchSubtitle">${t('searchSubtitle')}</span>
+                        </div>
+                        <div class="flex flex-wrap items-center gap-2">
+                            ${searchTerm ? `<span class="text-xs font-medium text-indigo-500 dark:text-indigo-300" data-i18n="searchFilter" data-term="${searchValueAttr}">${t('searchFilter', { term: searchTerm })}</span>` : ''}
+                            ${tag ? `<a href="${escapeAttribute(withBase(buildListPath(1, { ...filters, tag: '' })))}" class="inline-flex items-center gap-1 rounded-full bg-indigo-600 px-2 py-0.5 text-xs font-medium text-white transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400" title="${escapeAttribute(t('tagFilterRemove'))}">#${escapeHtml(tag)}<span aria-hidden="true">×</span></a>` : ''}
+                        </div>
+                    </div>
+                    <form action="${escapeAttribute(withBase(boardPath(boardSlug)))}" method="get" class="flex flex-col gap-3 sm:flex-row sm:items-center sm:gap-3">${renderFilterFields({ tag, sort })}
+                        <div class="flex flex-1 items-center gap-2 rounded-2xl border border-slate-200 bg-white px-4 py-2 text-sm text-slate-600 shadow-inner shadow-slate-200 transition focus-within:border-indigo-300 focus-within:ring-2 focus-within:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-100 dark:shadow-slate-900/30 dark:focus-within:border-indigo-400 dark:focus-within:ring-indigo-400/30">
+                            <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="h-4 w-4 opacity-70">
+                                <path stroke-linecap="round" stroke-linejoin="round" d="m21 21-4.35-4.35m0 0a7.5 7.5 0 1 0-10.607-10.607 7.5 7.5 0 0 0 10.607 10.607Z" />
+                            </svg>
+                            <input type="search" name="q" value="${searchValueAttr}" placeholder="${t('searchPlaceholder')}" class="flex-1 bg-transparent text-sm text-slate-600 placeholder:text-slate-400 focus:outline-none dark:text-slate-100 dark:placeholder:text-slate-500" data-i18n-placeholder="searchPlaceholder">
+                        </div>
+                        <div class="flex items-center gap-2">
+                            <button type="submit" class="inline-flex items-center justify-center rounded-xl bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm shadow-indigo-300 transition hover:-translate-y-0.5 hover:bg-indigo-500 hover:shadow-md focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="searchButton">${t('searchButton')}</button>
+                            ${filtered ? `<a href="${escapeAttribute(withBase(boardPath(boardSlug)))}" class="text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" data-i18n="searchClear">${t('searchClear')}</a>` : ''}
+                        </div>
+                    </form>
+                    ${renderFeedLinks({ q: searchTerm, tag }, boardSlug)}${user?.role === 'admin' ? renderAdminTools(user, searchTerm) : ''}
+                </section>${renderTopTags(topTags, filters)}${renderPinnedSection(pinnedMessages, context)}
+                <section class="space-y-6 transition-colors">
+                    ${renderSortLinks(filters)}
+                    <div id="live-banner" hidden>
+                        <a href="${escapeAttribute(withBase(boardPath(boardSlug)))}" class="block rounded-2xl border border-indigo-200 bg-indigo-50 px-4 py-3 text-center text-sm font-medium text-indigo-600 transition hover:bg-indigo-100 dark:border-indigo-500/40 dark:bg-indigo-500/10 dark:text-indigo-200 dark:hover:bg-indigo-500/20" data-i18n="newMessagesBanner" data-count="0">${t('newMessagesBanner', { count: 0 })}</a>
+                    </div>
+                    <ul id="message-list" class="space-y-4" data-live="${currentPage === 1 && !filtered && !sort ? 'true' : 'false'}" data-page="${currentPage}" data-board="${escapeAttribute(board.slug)}">
+                        ${listItems}
+                    </ul>
+                    ${renderPagination({ currentPage, totalPages, filters, newerCursor, olderCursor })}
+                </section>${undoMessageId ? renderUndoToast(user, undoMessageId, context) : ''}
+                </div>
+    `;
+
+    return renderLayout({ head: renderFeedAlternates({ q: searchTerm, tag }, board), content });
+}
+
+// 只有一个留言板时不显示切换栏。
+function renderBoardSwitcher(boards, currentBoard) {
+    if (boards.length <= 1) {
+        return '';
+    }
+    const links = boards.map((board) => {
+        const isActive = board.id === currentBoard.id;
+        return `<a href="${escapeAttribute(withBase(boardPath(board.pathSlug)))}" class="rounded-full px-3 py-1 text-xs font-medium transition ${isActive ? 'bg-indigo-600 text-white shadow-sm shadow-indigo-300 dark:shadow-indigo-900/40' : 'bg-slate-100 text-slate-600 hover:bg-indigo-50 hover:text-indigo-600 dark:bg-slate-800/80 dark:text-slate-300 dark:hover:bg-slate-800 dark:hover:text-indigo-300'}"${isActive ? ' aria-current="page"' : ''}>${escapeHtml(board.name)}</a>`;
+    });
+    return `<nav class="mb-4 flex flex-wrap items-center gap-2" aria-label="${escapeAttribute(t('boardSwitcherLabel'))}">${links.join('')}</nav>`;
+}
+
+function renderRetentionNote(retention) {
+    if (retention.policy === 'count') {
+        return `<span data-i18n="retentionCount" data-max="${retention.maxMessages}">${t('retentionCount', { max: retention.maxMessages })}</span>`;
+    }
+    if (retention.policy === 'age') {
+        const days = Math.round(retention.maxAgeMs / (24 * 60 * 60 * 1000));
+        return `<span data-i18n="retentionAge" data-days="${days}">${t('retentionAge', { days })}</span>`;
+    }
+    return `<span data-i18n="retentionUnlimited">${t('retentionUnlimited')}</span>`;
+}
+
+// 置顶区在每一页和搜索结果上方都显示。
+function renderPinnedSection(pinnedMessages, context) {
+    if (!pinnedMessages.length) {
+        return '';
+    }
+    return `
+                <section class="space-y-3" data-pinned>
+                    <h2 class="flex items-center gap-2 text-sm font-semibold text-indigo-700 dark:text-indigo-200"><span aria-hidden="true">📌</span><span data-i18n="pinnedTitle">${t('pinnedTitle')}</span></h2>
+                    <ul class="space-y-4">
+                        ${pinnedMessages.map((message) => renderMessageCard(message, context)).join('')}
+                    </ul>
+                </section>`;
+}
+
+// 当前的热门标签；点击后按标签筛选，保留其余筛选条件，再次点击正在筛选的标签则取消。
+function renderTopTags(topTags, filters) {
+    if (!topTags.length) {
+        return '';
+    }
+    const chips = topTags.map(({ name, count }) => `<a href="${escapeAttribute(withBase(buildListPath(1, { ...filters, tag: name === filters.tag ? '' : name })))}" class="inline-flex items-center gap-1 rounded-full px-3 py-1 text-xs font-medium transition ${name === filters.tag ? 'bg-indigo-600 text-white dark:bg-indigo-500' : 'bg-slate-100 text-slate-600 hover:bg-indigo-50 hover:text-indigo-600 dark:bg-slate-800/80 dark:text-slate-300 dark:hover:bg-slate-800 dark:hover:text-indigo-300'}"${name === filters.tag ? ' aria-current="true"' : ''}>#${escapeHtml(name)}<span class="opacity-70">${count}</span></a>`);
+    return `
+                <aside class="rounded-3xl border border-slate-200 bg-white/85 p-5 shadow-sm shadow-slate-200/40 transition-colors dark:border-slate-800 dark:bg-slate-900/70 dark:shadow-slate-900/40">
+                    <h2 class="mb-3 text-sm font-semibold text-slate-700 dark:text-slate-200" data-i18n="topTagsTitle">${t('topTagsTitle')}</h2>
+                    <div class="flex flex-wrap gap-2">${chips.join('')}</div>
+                </aside>`;
+}
+
+function renderSortLinks(filters) {
+    const link = (sort, key) => {
+        const isActive = (filters.sort || '') === sort;
+        return `<a href="${escapeAttribute(withBase(buildListPath(1, { ...filters, sort })))}" class="rounded-lg px-2 py-1 font-medium transition ${isActive ? 'bg-slate-200/70 text-slate-700 dark:bg-slate-800 dark:text-slate-200' : 'text-slate-400 hover:text-indigo-600 dark:text-slate-500 dark:hover:text-indigo-300'}"${isActive ? ' aria-current="true"' : ''} data-i18n="${key}">${t(key)}</a>`;
+    };
+    return `<div class="flex items-center justify-end gap-1 text-xs">${link('', 'sortNewest')}${link('reactions', 'sortMostReacted')}</div>`;
+}
+
+// filters 为 { q, tag }，订阅源与当前列表使用相同的筛选条件。
+function renderFeedAlternates(filters, board) {
+    const boardTitle = board.isDefault ? t('headerTitle') : t('feedTitleBoard', { board: board.name });
+    const filter = [filters.q, filters.tag && `#${filters.tag}`].filter(Boolean).join(' ');
+    const title = escapeAttribute(filter ? t('feedTitleFiltered', { title: boardTitle, term: filter }) : boardTitle);
+    return FEEDS.map((feed) => `
+            <link rel="alternate" type="${feed.type}" title="${title} (${feed.label})" href="${escapeAttribute(withBase(withQuery(boardPath(board.pathSlug, feed.path), filters)))}">`).join('');
+}
+
+function renderFeedLinks(filters, boardSlug) {
+    const links = FEEDS.map((feed) => `<a href="${escapeAttribute(withBase(withQuery(boardPath(boardSlug, feed.path), filters)))}" class="font-medium text-slate-500 transition hover:text-indigo-600 dark:text-slate-400 dark:hover:text-indigo-300">${feed.label}</a>`);
+    return `<p class="mt-3 flex flex-wrap items-center gap-2 text-xs text-slate-400 dark:text-slate-500"><span data-i18n="feedSubscribe">${t('feedSubscribe')}</span>${links.join('<span aria-hidden="true">·</span>')}</p>`;
+}
+
+function renderAdminTools(user, searchTerm) {
+    const exportLink = (params, label) => `<a href="${escapeAttribute(withBase(withQuery('/export', params)))}" class="rounded-lg border border-slate-200 bg-white px-3 py-1 font-medium text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300">${label}</a>`;
+    const exportKey = searchTerm ? 'exportFiltered' : 'exportAll';
+    return `
+                    <details class="mt-4 border-t border-slate-100 pt-3 text-xs dark:border-slate-800">
+                        <summary class="inline-flex cursor-pointer select-none items-center font-medium text-slate-500 transition hover:text-indigo-600 dark:text-slate-400 dark:hover:text-indigo-300" data-i18n="adminToolsTitle">${t('adminToolsTitle')}</summary>
+                        <div class="mt-3 flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                            <div class="flex flex-col gap-2">
+                                <div class="flex flex-wrap items-center gap-2">
+                                    <span class="text-slate-400 dark:text-slate-500" data-i18n="${exportKey}">${t(exportKey)}</span>
+                                    ${exportLink({ format: 'json', q: searchTerm }, 'JSON')}
+                                    ${exportLink({ format: 'csv', q: searchTerm }, 'CSV')}
+                                    ${exportLink({ format: 'md', q: searchTerm }, 'Markdown')}
+                                </div>
+                                <div class="flex flex-wrap items-center gap-2">
+                                    <span class="text-slate-400 dark:text-slate-500" data-i18n="exportArchive">${t('exportArchive')}</span>
+                                    ${exportLink({ format: 'json', source: 'archive' }, 'JSON')}
+                                    ${exportLink({ format: 'csv', source: 'archive' }, 'CSV')}
+                                    ${exportLink({ format: 'md', source: 'archive' }, 'Markdown')}
+                                </div>
+                            </div>
+                            <form action="${withBase('/import')}" method="post" enctype="multipart/form-data" class="flex flex-wrap items-center gap-2">
+                                ${renderCsrfField(user)}
+                                <input type="file" name="file" required accept=".json,.csv,application/json,text/csv" class="max-w-[14rem] text-slate-500 file:mr-2 file:rounded-lg file:border-0 file:bg-slate-100 file:px-3 file:py-1 file:text-xs file:font-medium file:text-slate-600 dark:text-slate-400 dark:file:bg-slate-800 dark:file:text-slate-300">
+                                <button type="submit" class="rounded-lg bg-indigo-600 px-3 py-1 font-semibold text-white transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400" data-i18n="importButton">${t('importButton')}</button>
+                            </form>
+                        </div>
+                    </details>`;
+}
+
+function renderUndoToast(user, messageId, { currentPage, filters }) {
+    return `
+                <div class="fixed inset-x-0 bottom-6 z-50 flex justify-center px-4" role="status" data-undo-toast>
+                    <div class="flex items-center gap-4 rounded-2xl bg-slate-900/95 px-4 py-3 text-sm text-slate-100 shadow-lg shadow-slate-900/30 dark:bg-slate-100/95 dark:text-slate-900">
+                        <span data-i18n="deletedToast">${t('deletedToast')}</span>
+                        <form action="${withBase('/restore')}" method="post">
+                            ${renderCsrfField(user)}
+                            <input type="hidden" name="id" value="${messageId}">
+                            <input type="hidden" name="page" value="${currentPage}">${renderFilterFields(filters)}
+                            <button type="submit" class="font-semibold text-indigo-300 transition hover:text-indigo-200 dark:text-indigo-600 dark:hover:text-indigo-500" data-i18n="undoButton">${t('undoButton')}</button>
+                        </form>
+                        <a href="${withBase('/trash')}" class="text-xs text-slate-400 transition hover:text-slate-200 dark:text-slate-500 dark:hover:text-slate-700" data-i18n="trashLink">${t('trashLink')}</a>
+                    </div>
+                </div>`;
+}
+
+module.exports = {
+    renderHomePage
+};
@@ -0,0 +1,36 @@
+const { escapeHtml, t } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderPageHeader } = require('../partials/header');
+
+// result 为 importMessages 的返回值；导入失败时 result 为空，显示 errorMessage。
+function renderImportResultPage({ user, result, errorMessage }) {
+    const summary = result
+        ? `
+                    <dl class="grid grid-cols-2 gap-3 text-sm sm:grid-cols-4">
+                        ${[['importImported', result.imported], ['importDuplicates', result.duplicates], ['importInvalid', result.invalid.length], ['importTrimmed', result.trimmed]]
+                            .map(([key, value]) => `
+                        <div class="rounded-2xl border border-slate-200 bg-white/95 p-4 dark:border-slate-800 dark:bg-slate-900/80">
+                            <dt class="text-xs text-slate-400 dark:text-slate-500" data-i18n="${key}">${t(key)}</dt>
+                            <dd class="mt-1 text-2xl font-semibold text-slate-900 dark:text-slate-100">${value}</dd>
+                        </div>`).join('')}
+                    </dl>
+                    ${result.invalid.length ? `
+                    <ul class="space-y-1 text-xs text-slate-500 dark:text-slate-400">
+                        ${result.invalid.slice(0, 50).map((item) => `<li>#${item.index + 1}：${escapeHtml(item.reason)}</li>`).join('')}
+                    </ul>` : ''}`
+        : `
+                    <p role="alert" class="rounded-2xl border border-rose-200 bg-rose-50 px-4 py-3 text-sm text-rose-600 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200">${escapeHtml(errorMessage)}</p>`;
+
+    const content = `
+                <div class="flex flex-col gap-6">${renderPageHeader(user)}
+                    <h1 class="text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="importTitle">${t('importTitle')}</h1>
+                    ${summary}
+                </div>
+    `;
+
+    return renderLayout({ titleKey: 'importTitle', content });
+}
+
+module.exports = {
+    renderImportResultPage
+};
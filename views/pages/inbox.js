@@ -0,0 +1,74 @@
+const { escapeAttribute, escapeHtml, formatDisplayTime, renderCsrfField, t, withBase } = require('../helpers');
+const { buildItemTitle } = require('../feeds');
+const { renderLayout } = require('../layout');
+const { renderPageHeader } = require('../partials/header');
+const { renderNotice } = require('../partials/notice');
+
+const TYPE_KEYS = {
+    mention: 'inboxMention',
+    reply: 'inboxReply'
+};
+
+const SMALL_BUTTON = 'rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300';
+
+// rows 为最近的通知，新的在前；正文只显示第一行摘要，“查看”会先标为已读再跳到留言所在的位置。
+function renderInboxPage({ user, rows, error }) {
+    const csrfField = renderCsrfField(user);
+    const readForm = (row, open) => `
+                                <form action="${withBase('/inbox/read')}" method="post">
+                                    ${csrfField}
+                                    <input type="hidden" name="id" value="${row.id}">${open ? `
+                                    <input type="hidden" name="open" value="1">` : ''}
+                                    <button type="submit" class="${SMALL_BUTTON}" data-i18n="${open ? 'inboxOpen' : 'inboxMarkRead'}">${t(open ? 'inboxOpen' : 'inboxMarkRead')}</button>
+                                </form>`;
+
+    const items = rows
+        .map((row) => {
+            const key = TYPE_KEYS[row.type] || 'inboxMention';
+            const name = row.actor_name || '—';
+            return `
+                    <li class="rounded-2xl border p-5 shadow-sm ${row.read_at ? 'border-slate-200 bg-white/95 shadow-slate-100/60 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40' : 'border-indigo-200 bg-indigo-50/70 shadow-indigo-100/60 dark:border-indigo-500/40 dark:bg-indigo-500/10 dark:shadow-slate-900/40'}"${row.read_at ? '' : ' data-unread'}>
+                        <div class="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between sm:gap-6">
+                            <div class="min-w-0 flex-1 space-y-2">
+                                <p class="flex flex-wrap items-center gap-2 text-xs font-medium text-slate-400 dark:text-slate-500">
+                                    <span class="text-slate-600 dark:text-slate-300" data-i18n="${key}" data-name="${escapeAttribute(name)}">${t(key, { name })}</span>
+                                    <span aria-hidden="true">·</span>
+                                    <span>${formatDisplayTime(row.created_at)}</span>${row.board_name ? `
+                                    <span aria-hidden="true">·</span>
+                                    <span>${escapeHtml(row.board_name)}</span>` : ''}
+                                </p>
+                                <p class="truncate text-sm text-slate-700 dark:text-slate-200">${escapeHtml(buildItemTitle(row.content, row.message_id))}</p>
+                            </div>
+                            <div class="flex shrink-0 items-center justify-end gap-2 sm:self-start">${readForm(row, true)}${row.read_at ? '' : readForm(row, false)}
+                            </div>
+                        </div>
+                    </li>`;
+        })
+        .join('');
+
+    const hasUnread = rows.some((row) => !row.read_at);
+    const content = `
+                <div class="flex flex-col gap-6">${renderPageHeader(user)}
+                    <div class="flex flex-wrap items-end justify-between gap-3">
+                        <div>
+                            <h1 class="text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="inboxTitle">${t('inboxTitle')}</h1>
+                            <p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="inboxSubtitle">${t('inboxSubtitle')}</p>
+                        </div>${hasUnread ? `
+                        <form action="${withBase('/inbox/read')}" method="post">
+                            ${csrfField}
+                            <input type="hidden" name="all" value="1">
+                            <button type="submit" class="${SMALL_BUTTON}" data-i18n="inboxMarkAllRead">${t('inboxMarkAllRead')}</button>
+                        </form>` : ''}
+                    </div>${renderNotice(error)}
+                    <ul class="space-y-4">
+                        ${items || `<li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-i18n="inboxEmpty">${t('inboxEmpty')}</li>`}
+                    </ul>
+                </div>
+    `;
+
+    return renderLayout({ titleKey: 'inboxTitle', content });
+}
+
+module.exports = {
+    renderInboxPage
+};
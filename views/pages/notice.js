@@ -0,0 +1,18 @@
+const { escapeAttribute, t, withBase } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderNotice } = require('../partials/notice');
+
+// 无法重定向回原页面时（CSRF 校验失败、发言过快等）单独显示的错误页。
+function renderNoticePage({ errorKey, params = {}, backPath = '/' }) {
+    const content = `
+                <div class="mx-auto flex max-w-md flex-col gap-4">
+                    <a href="${escapeAttribute(withBase(backPath))}" class="text-sm font-medium text-indigo-600 transition hover:text-indigo-500 dark:text-indigo-300 dark:hover:text-indigo-200" data-i18n="backToBoard">${t('backToBoard')}</a>
+                    ${renderNotice(errorKey, params)}
+                </div>
+    `;
+    return renderLayout({ content });
+}
+
+module.exports = {
+    renderNoticePage
+};
@@ -0,0 +1,106 @@
+const { renderMarkdown } = require('../../markdown');
+const { escapeHtml, formatDisplayTime, renderContentHtml, t } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderPageHeader } = require('../partials/header');
+
+// versions 按时间先后排列，第一项为原始版本，最后一项为当前内容；boardSlug 为留言所在留言板的路径 slug。
+function renderRevisionsPage({ user, message, versions, boardSlug }) {
+    const versionItems = versions
+        .map((version, index) => {
+            const isCurrent = index === versions.length - 1;
+            const label = index === 0
+                ? `<span data-i18n="revisionOriginal">${t('revisionOriginal')}</span>`
+                : `<span data-i18n="revisionLabel" data-number="${index}">${t('revisionLabel', { number: index })}</span>`;
+            const diffHtml = index === 0
+                ? ''
+                : `
+                        <details class="mt-3"${isCurrent ? ' open' : ''}>
+                            <summary class="inline-flex cursor-pointer select-none items-center text-xs font-medium text-indigo-500 transition hover:text-indigo-600 dark:text-indigo-300" data-i18n="revisionDiff">${t('revisionDiff')}</summary>
+                            ${renderDiff(diffLines(versions[index - 1].content, version.content))}
+                        </details>`;
+            return `
+                    <li class="rounded-2xl border border-slate-200 bg-white/95 p-5 shadow-sm shadow-slate-100/60 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
+                        <p class="mb-3 flex flex-wrap items-center gap-2 text-xs font-medium text-slate-400 dark:text-slate-500">
+                            <span class="font-semibold text-slate-600 dark:text-slate-300">${label}</span>
+                            <span aria-hidden="true">·</span>
+                            <span>${formatDisplayTime(version.created_at)}</span>
+                            ${isCurrent ? `<span class="rounded-full bg-emerald-100 px-2 py-0.5 text-[10px] font-semibold text-emerald-600 dark:bg-emerald-500/20 dark:text-emerald-200" data-i18n="revisionCurrent">${t('revisionCurrent')}</span>` : ''}
+                        </p>
+                        <div class="message-content prose prose-slate max-w-none text-sm dark:prose-invert">${renderContentHtml(renderMarkdown(version.content), boardSlug)}</div>${diffHtml}
+                    </li>`;
+        })
+        .reverse()
+        .join('');
+
+    const content = `
+                <div class="flex flex-col gap-6">${renderPageHeader(user, `/#message-${message.id}`)}
+                    <h1 class="text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="revisionsTitle">${t('revisionsTitle')}</h1>
+                    <ul class="space-y-4">
+                        ${versionItems}
+                    </ul>
+                </div>
+    `;
+
+    return renderLayout({ titleKey: 'revisionsTitle', content });
+}
+
+// 基于最长公共子序列的逐行对比；内容过长时退化为整体替换，避免占用过多内存。
+function diffLines(before = '', after = '') {
+    const a = before.split(/\r?\n/);
+    const b = after.split(/\r?\n/);
+    if (a.length * b.length > 250000) {
+        return a.map((text) => ({ type: 'remove', text })).concat(b.map((text) => ({ type: 'add', text })));
+    }
+
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+        for (let j = b.length - 1; j >= 0; j -= 1) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i += 1;
+            j += 1;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push({ type: 'remove', text: a[i] });
+            i += 1;
+        } else {
+            result.push({ type: 'add', text: b[j] });
+            j += 1;
+        }
+    }
+    while (i < a.length) {
+        result.push({ type: 'remove', text: a[i] });
+        i += 1;
+    }
+    while (j < b.length) {
+        result.push({ type: 'add', text: b[j] });
+        j += 1;
+    }
+    return result;
+}
+
+function renderDiff(lines) {
+    const classes = {
+        same: 'text-slate-500 dark:text-slate-400',
+        add: 'bg-emerald-50 text-emerald-700 dark:bg-emerald-500/10 dark:text-emerald-200',
+        remove: 'bg-rose-50 text-rose-700 line-through decoration-rose-300 dark:bg-rose-500/10 dark:text-rose-200'
+    };
+    const markers = { same: ' ', add: '+', remove: '-' };
+    const rows = lines
+        .map(({ type, text }) => `<div class="${classes[type]} whitespace-pre-wrap px-3">${markers[type]} ${escapeHtml(text) || '&nbsp;'}</div>`)
+        .join('');
+    return `<div class="mt-3 overflow-x-auto rounded-xl border border-slate-200 bg-slate-50 py-2 font-mono text-xs leading-6 dark:border-slate-800 dark:bg-slate-950/60">${rows}</div>`;
+}
+
+module.exports = {
+    renderRevisionsPage
+};
@@ -0,0 +1,71 @@
+const { getConfig } = require('../../config');
+const { escapeAttribute, escapeHtml, formatDisplayTime, renderContentHtml, renderCsrfField, t, withBase } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderPageHeader } = require('../partials/header');
+const { renderAttachments } = require('../partials/message-card');
+const { renderNotice } = require('../partials/notice');
+
+// rows 为每批删除中最上层的留言，reply_count 是同批被删除的回复数，board_path 为所在留言板的路径 slug。
+function renderTrashPage({ user, rows, error }) {
+    const csrfField = renderCsrfField(user);
+    const items = rows
+        .map((row) => {
+            const authorHtml = row.author_name
+                ? `<span class="font-semibold text-slate-600 dark:text-slate-300">${escapeHtml(row.author_name)}</span>`
+                : `<span data-i18n="anonymousAuthor">${t('anonymousAuthor')}</span>`;
+            const parentName = row.parent_author_name || `#${row.parent_id}`;
+            const deletedParams = { time: formatDisplayTime(row.deleted_at), name: row.deleted_by_name || '—' };
+            return `
+                    <li class="rounded-2xl border border-slate-200 bg-white/95 p-5 shadow-sm shadow-slate-100/60 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
+                        <div class="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between sm:gap-6">
+                            <div class="flex-1 min-w-0 space-y-3">
+                                <p class="flex flex-wrap items-center gap-2 text-xs font-medium text-slate-400 dark:text-slate-500">${authorHtml}<span aria-hidden="true">·</span><span>${formatDisplayTime(row.created_at)}</span>${row.parent_id ? `<span aria-hidden="true">·</span><span data-i18n="replyingTo" data-name="${escapeAttribute(parentName)}">${t('replyingTo', { name: parentName })}</span>` : ''}</p>
+                                <p class="flex flex-wrap items-center gap-2 text-xs text-rose-500 dark:text-rose-300">
+                                    <span data-i18n="trashDeletedAt" data-time="${escapeAttribute(deletedParams.time)}" data-name="${escapeAttribute(deletedParams.name)}">${t('trashDeletedAt', deletedParams)}</span>
+                                    ${row.reply_count ? `<span aria-hidden="true">·</span><span data-i18n="trashReplyCount" data-count="${row.reply_count}">${t('trashReplyCount', { count: row.reply_count })}</span>` : ''}
+                                </p>
+                                <div class="message-content prose prose-slate max-w-none text-sm dark:prose-invert">${renderContentHtml(row.content_html, row.board_path)}</div>${renderAttachments(row.attachments)}
+                            </div>
+                            <div class="flex shrink-0 items-center justify-end gap-2 sm:self-start">
+                                <form action="${withBase('/restore')}" method="post">
+                                    ${csrfField}
+                                    <input type="hidden" name="id" value="${row.id}">
+                                    <input type="hidden" name="from" value="trash">
+                                    <button type="submit" class="rounded-lg border border-indigo-200 bg-indigo-50 px-3 py-1 text-xs font-medium text-indigo-600 transition hover:bg-indigo-100 dark:border-indigo-500/40 dark:bg-indigo-500/10 dark:text-indigo-200 dark:hover:bg-indigo-500/20" data-i18n="restoreButton">${t('restoreButton')}</button>
+                                </form>
+                                <form action="${withBase('/purge')}" method="post" data-confirm="purgeConfirm">
+                                    ${csrfField}
+                                    <input type="hidden" name="id" value="${row.id}">
+                                    <button type="submit" class="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-600 transition hover:bg-rose-100 hover:text-rose-700 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200 dark:hover:bg-rose-500/20" data-i18n="purgeButton">${t('purgeButton')}</button>
+                                </form>
+                            </div>
+                        </div>
+                    </li>`;
+        })
+        .join('');
+
+    const emptyItem = `
+                    <li class="rounded-xl border border-dashed border-slate-300 bg-white p-12 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-i18n="trashEmpty">${t('trashEmpty')}</li>`;
+    const retentionDays = getConfig().trashRetentionDays;
+    const subtitle = retentionDays
+        ? `<p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="trashSubtitle" data-count="${retentionDays}">${t('trashSubtitle', { count: retentionDays })}</p>`
+        : `<p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="trashSubtitleForever">${t('trashSubtitleForever')}</p>`;
+
+    const content = `
+                <div class="flex flex-col gap-6">${renderPageHeader(user)}
+                    <div>
+                        <h1 class="text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="trashTitle">${t('trashTitle')}</h1>
+                        ${subtitle}
+                    </div>${renderNotice(error)}
+                    <ul class="space-y-4">
+                        ${items || emptyItem}
+                    </ul>
+                </div>
+    `;
+
+    return renderLayout({ titleKey: 'trashTitle', content });
+}
+
+module.exports = {
+    renderTrashPage
+};
@@ -0,0 +1,116 @@
+const { escapeAttribute, escapeHtml, formatDisplayTime, renderCsrfField, t, withBase } = require('../helpers');
+const { renderLayout } = require('../layout');
+const { renderPageHeader } = require('../partials/header');
+const { renderNotice } = require('../partials/notice');
+
+const STATUS_CLASSES = {
+    pending: 'bg-amber-100 text-amber-700 dark:bg-amber-500/20 dark:text-amber-200',
+    succeeded: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-500/20 dark:text-emerald-200',
+    failed: 'bg-rose-100 text-rose-700 dark:bg-rose-500/20 dark:text-rose-200'
+};
+
+const DELIVERY_COLUMNS = ['webhookColumnTime', 'webhookColumnEvent', 'webhookColumnStatus', 'webhookColumnResult', 'webhookColumnAttempts'];
+
+const SMALL_BUTTON = 'rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300';
+
+// events 为可订阅的事件名；deliveries 为最近的投递记录（含所属 Webhook 的 url）。
+function renderWebhooksPage({ user, webhooks, deliveries, events, error }) {
+    const csrfField = renderCsrfField(user);
+    const actionForm = (action, field, id, labelKey, extraClass = '', confirmKey = '') => `
+                                <form action="${withBase(`/admin/webhooks/${action}`)}" method="post"${confirmKey ? ` data-confirm="${confirmKey}"` : ''}>
+                                    ${csrfField}
+                                    <input type="hidden" name="${field}" value="${id}">
+                                    <button type="submit" class="${extraClass || SMALL_BUTTON}" data-i18n="${labelKey}">${t(labelKey)}</button>
+                                </form>`;
+
+    const webhookItems = webhooks
+        .map((webhook) => {
+            const stateKey = webhook.active ? 'webhookActive' : 'webhookInactive';
+            return `
+                    <li class="rounded-2xl border border-slate-200 bg-white/95 p-5 shadow-sm shadow-slate-100/60 dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40">
+                        <div class="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between sm:gap-6">
+                            <div class="min-w-0 flex-1 space-y-2">
+                                <p class="break-all font-mono text-sm text-slate-700 dark:text-slate-200">${escapeHtml(webhook.url)}</p>
+                                <p class="flex flex-wrap items-center gap-2 text-xs text-slate-400 dark:text-slate-500">
+                                    <span class="rounded-full px-2 py-0.5 font-semibold ${webhook.active ? STATUS_CLASSES.succeeded : 'bg-slate-100 text-slate-500 dark:bg-slate-800 dark:text-slate-400'}" data-i18n="${stateKey}">${t(stateKey)}</span>
+                                    ${webhook.events.map((event) => `<code>${escapeHtml(event)}</code>`).join(' ')}
+                                </p>
+                                <details class="text-xs text-slate-500 dark:text-slate-400">
+                                    <summary class="cursor-pointer select-none" data-i18n="webhookSecret">${t('webhookSecret')}</summary>
+                                    <code class="mt-1 block break-all font-mono text-slate-600 dark:text-slate-300">${escapeHtml(webhook.secret)}</code>
+                                </details>
+                            </div>
+                            <div class="flex shrink-0 flex-wrap items-center justify-end gap-2 sm:self-start">${actionForm('test', 'id', webhook.id, 'webhookTestButton')}${actionForm('toggle', 'id', webhook.id, webhook.active ? 'webhookDisableButton' : 'webhookEnableButton')}${actionForm('delete', 'id', webhook.id, 'deleteButton', 'rounded-lg border border-rose-200 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-600 transition hover:bg-rose-100 hover:text-rose-700 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200 dark:hover:bg-rose-500/20', 'webhookDeleteConfirm')}
+                            </div>
+                        </div>
+                    </li>`;
+        })
+        .join('');
+
+    const deliveryRows = deliveries
+        .map((delivery) => {
+            const statusKey = `webhookStatus${delivery.status.charAt(0).toUpperCase()}${delivery.status.slice(1)}`;
+            const result = delivery.response_status
+                ? `HTTP ${delivery.response_status}`
+                : escapeHtml(delivery.error || '—');
+            const nextAttempt = delivery.status === 'pending' && delivery.next_attempt_at
+                ? `<span class="block text-slate-400 dark:text-slate-500" data-i18n="webhookNextAttempt" data-time="${escapeAttribute(formatDisplayTime(delivery.next_attempt_at))}">${t('webhookNextAttempt', { time: formatDisplayTime(delivery.next_attempt_at) })}</span>`
+                : '';
+            return `
+                            <tr class="border-t border-slate-100 align-top dark:border-slate-800">
+                                <td class="whitespace-nowrap px-3 py-2">${formatDisplayTime(delivery.created_at)}</td>
+                                <td class="px-3 py-2"><code>${escapeHtml(delivery.event)}</code><span class="block max-w-[16rem] truncate text-slate-400 dark:text-slate-500" title="${escapeAttribute(delivery.url)}">${escapeHtml(delivery.url)}</span></td>
+                                <td class="px-3 py-2"><span class="rounded-full px-2 py-0.5 font-semibold ${STATUS_CLASSES[delivery.status] || ''}" data-i18n="${statusKey}">${t(statusKey)}</span>${nextAttempt}</td>
+                                <td class="px-3 py-2 font-mono">${result}</td>
+                                <td class="px-3 py-2">${delivery.attempts}</td>
+                                <td class="px-3 py-2 text-right">${delivery.status === 'failed' ? actionForm('retry', 'delivery', delivery.id, 'webhookRetryButton') : ''}</td>
+                            </tr>`;
+        })
+        .join('');
+
+    const content = `
+                <div class="flex flex-col gap-6">${renderPageHeader(user)}
+                    <div>
+                        <h1 class="text-xl font-semibold tracking-tight text-slate-900 dark:text-slate-100" data-i18n="webhooksTitle">${t('webhooksTitle')}</h1>
+                        <p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="webhooksSubtitle">${t('webhooksSubtitle')}</p>
+                    </div>${renderNotice(error)}
+                    <form action="${withBase('/admin/webhooks/create')}" method="post" class="flex flex-col gap-3 rounded-2xl border border-slate-200 bg-white/95 p-5 text-sm dark:border-slate-800 dark:bg-slate-900/80">
+                        ${csrfField}
+                        <label class="flex flex-col gap-1">
+                            <span class="text-xs font-medium text-slate-500 dark:text-slate-400" data-i18n="webhookUrlLabel">${t('webhookUrlLabel')}</span>
+                            <input type="url" name="url" required maxlength="2000" placeholder="https://example.com/hooks/board" class="rounded-xl border border-slate-200 bg-white px-3 py-2 text-slate-700 focus:border-indigo-300 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-100 dark:focus:border-indigo-400 dark:focus:ring-indigo-400/30">
+                        </label>
+                        <div class="flex flex-wrap items-center gap-4 text-xs text-slate-600 dark:text-slate-300">
+                            <span class="font-medium text-slate-500 dark:text-slate-400" data-i18n="webhookEventsLabel">${t('webhookEventsLabel')}</span>
+                            ${events.map((event) => `<label class="inline-flex items-center gap-1"><input type="checkbox" name="events" value="${escapeAttribute(event)}" checked> <code>${escapeHtml(event)}</code></label>`).join('\n                            ')}
+                        </div>
+                        <div>
+                            <button type="submit" class="rounded-xl bg-indigo-600 px-4 py-2 text-sm font-semibold text-white transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400" data-i18n="webhookAddButton">${t('webhookAddButton')}</button>
+                        </div>
+                    </form>
+                    <ul class="space-y-4">
+                        ${webhookItems || `<li class="rounded-xl border border-dashed border-slate-300 bg-white p-8 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400" data-i18n="webhookEmpty">${t('webhookEmpty')}</li>`}
+                    </ul>
+                    <section class="space-y-3">
+                        <h2 class="text-sm font-semibold text-slate-700 dark:text-slate-200" data-i18n="webhookDeliveriesTitle">${t('webhookDeliveriesTitle')}</h2>
+                        ${deliveryRows
+                            ? `<div class="overflow-x-auto rounded-2xl border border-slate-200 bg-white/95 dark:border-slate-800 dark:bg-slate-900/80">
+                        <table class="w-full text-left text-xs text-slate-600 dark:text-slate-300">
+                            <thead class="text-slate-400 dark:text-slate-500">
+                                <tr>${DELIVERY_COLUMNS.map((key) => `<th class="px-3 py-2 font-medium" data-i18n="${key}">${t(key)}</th>`).join('')}<th></th></tr>
+                            </thead>
+                            <tbody>${deliveryRows}
+                            </tbody>
+                        </table>
+                        </div>`
+                            : `<p class="text-sm text-slate-500 dark:text-slate-400" data-i18n="webhookDeliveriesEmpty">${t('webhookDeliveriesEmpty')}</p>`}
+                    </section>
+                </div>
+    `;
+
+    return renderLayout({ titleKey: 'webhooksTitle', content });
+}
+
+module.exports = {
+    renderWebhooksPage
+};
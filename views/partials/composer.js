@@ -0,0 +1,59 @@
+const { HONEYPOT_FIELD, MAX_ATTACHMENTS, MAX_ATTACHMENT_SIZE } = require('../../constants');
+const { escapeAttribute, formatFileSize, renderCsrfField, t, withBase } = require('../helpers');
+
+const TOOLBAR_ACTIONS = [
+    ['heading-1', 'toolbarHeading1'],
+    ['heading-2', 'toolbarHeading2'],
+    ['bold', 'toolbarBold'],
+    ['italic', 'toolbarItalic'],
+    ['list-ul', 'toolbarListUl'],
+    ['list-ol', 'toolbarListOl'],
+    ['code', 'toolbarInlineCode'],
+    ['code-block', 'toolbarCodeBlock'],
+    ['quote', 'toolbarQuote'],
+    ['link', 'toolbarLink']
+];
+
+// boardSlug 为空时新主题发到默认留言板。
+function renderComposer(user, boardSlug = '') {
+    if (!user) {
+        return `
+                    <p class="rounded-2xl border border-dashed border-slate-300 bg-slate-50/80 px-4 py-6 text-center text-sm text-slate-500 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-400" data-i18n="composerLoginPrompt">${t('composerLoginPrompt')}</p>`;
+    }
+    const attachParams = { count: MAX_ATTACHMENTS, size: formatFileSize(MAX_ATTACHMENT_SIZE) };
+    return `
+                    <form action="${withBase('/submit')}" method="post" enctype="multipart/form-data" class="relative space-y-3" data-attachments>
+                        ${renderCsrfField(user)}
+                        ${renderHoneypotField()}
+                        ${boardSlug ? `<input type="hidden" name="board" value="${escapeAttribute(boardSlug)}">` : ''}
+                        ${renderMarkdownToolbar()}
+                        <textarea id="message" name="message" rows="5" placeholder="${t('textareaPlaceholder')}" class="block w-full rounded-2xl border border-slate-200 bg-slate-50/80 px-4 py-3 text-sm leading-6 text-slate-800 shadow-inner shadow-slate-200 transition focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-100 dark:shadow-slate-900/30" data-i18n-placeholder="textareaPlaceholder"></textarea>
+                        <ul class="attachment-preview flex flex-wrap gap-2 empty:hidden"></ul>
+                        <div class="flex flex-wrap items-center justify-between gap-3">
+                            <label class="inline-flex cursor-pointer items-center gap-2 rounded-xl border border-dashed border-slate-300 px-3 py-2 text-xs font-medium text-slate-500 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:text-slate-400 dark:hover:border-indigo-400 dark:hover:text-indigo-300">
+                                <input type="file" name="attachments" multiple accept="image/png,image/jpeg,image/gif,image/webp,application/pdf,application/zip,.txt,.md,.log,.csv" class="sr-only">
+                                <span data-i18n="attachButton" data-count="${attachParams.count}" data-size="${attachParams.size}">${t('attachButton', attachParams)}</span>
+                            </label>
+                            <button type="submit" class="inline-flex items-center justify-center rounded-xl bg-indigo-600 px-5 py-2 text-sm font-semibold text-white shadow-sm shadow-indigo-300 transition hover:-translate-y-0.5 hover:bg-indigo-500 hover:shadow-md focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="submitButton">${t('submitButton')}</button>
+                        </div>
+                    </form>`;
+}
+
+function renderMarkdownToolbar() {
+    const buttons = TOOLBAR_ACTIONS.map(([action, key]) => `
+                            <button type="button" class="toolbar-btn inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:bg-indigo-50 hover:text-indigo-600 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:hover:border-indigo-400 dark:hover:bg-indigo-500/20 dark:hover:text-indigo-200" data-action="${action}" data-i18n="${key}">${t(key)}</button>`).join('');
+    return `
+                        <div class="flex flex-wrap items-center gap-2 rounded-2xl border border-slate-200 bg-slate-50/80 px-3 py-2 shadow-inner shadow-slate-200 dark:border-slate-700 dark:bg-slate-900/60 dark:shadow-slate-900/30">${buttons}
+                        </div>`;
+}
+
+// 对真人不可见的诱饵输入框，机器人填写后提交会被当作垃圾信息拒绝。
+function renderHoneypotField() {
+    return `<input type="text" name="${HONEYPOT_FIELD}" value="" tabindex="-1" autocomplete="off" aria-hidden="true" class="absolute -left-[9999px] h-px w-px opacity-0">`;
+}
+
+module.exports = {
+    renderComposer,
+    renderHoneypotField,
+    renderMarkdownToolbar
+};
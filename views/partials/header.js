@@ -0,0 +1,43 @@
+const { escapeAttribute, escapeHtml, renderCsrfField, t, withBase } = require('../helpers');
+
+function renderHeaderControls(user) {
+    const userMenu = user
+        ? `
+                            <span class="inline-flex items-center gap-1 text-xs font-medium text-slate-600 dark:text-slate-300">${escapeHtml(user.username)}${user.role === 'admin' ? ` <span class="rounded-full bg-indigo-100 px-2 py-0.5 text-[10px] font-semibold text-indigo-600 dark:bg-indigo-500/20 dark:text-indigo-200" data-i18n="adminBadge">${t('adminBadge')}</span>` : ''}</span>
+                            <a href="${withBase('/inbox')}" class="inline-flex items-center gap-1 text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300"><span data-i18n="inboxLink">${t('inboxLink')}</span>${user.unreadCount ? `<span class="rounded-full bg-rose-500 px-1.5 py-0.5 text-[10px] font-semibold leading-none text-white" aria-hidden="true" data-unread-count>${user.unreadCount > 99 ? '99+' : user.unreadCount}</span><span class="sr-only" data-i18n="inboxUnread" data-count="${user.unreadCount}">${t('inboxUnread', { count: user.unreadCount })}</span>` : ''}</a>
+                            <a href="${withBase('/trash')}" class="text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" data-i18n="trashLink">${t('trashLink')}</a>${user.role === 'admin' ? `
+                            <a href="${withBase('/admin/boards')}" class="text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" data-i18n="boardsLink">${t('boardsLink')}</a>
+                            <a href="${withBase('/admin/webhooks')}" class="text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" data-i18n="webhooksLink">${t('webhooksLink')}</a>` : ''}
+                            <form action="${withBase('/logout')}" method="post">
+                                ${renderCsrfField(user)}
+                                <button type="submit" class="text-xs font-medium text-slate-400 transition hover:text-slate-600 dark:text-slate-500 dark:hover:text-slate-300" data-i18n="logoutButton">${t('logoutButton')}</button>
+                            </form>`
+        : `
+                            <a href="${withBase('/login')}" class="text-xs font-medium text-indigo-600 transition hover:text-indigo-500 dark:text-indigo-300 dark:hover:text-indigo-200" data-i18n="loginLink">${t('loginLink')}</a>
+                            <a href="${withBase('/register')}" class="text-xs font-medium text-slate-500 transition hover:text-slate-700 dark:text-slate-400 dark:hover:text-slate-200" data-i18n="registerLink">${t('registerLink')}</a>`;
+    return `${userMenu}
+                            <button type="button" id="language-toggle" class="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-medium text-slate-600 shadow-sm shadow-slate-200 transition hover:-translate-y-0.5 hover:border-indigo-300 hover:text-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-900/40 dark:hover:border-indigo-400 dark:hover:text-indigo-200">
+                                <span aria-hidden="true">🌐</span>
+                                <span class="language-toggle-label" data-i18n="languageZh">${t('languageZh')}</span>
+                            </button>
+                            <button type="button" id="theme-toggle" class="inline-flex items-center gap-2 rounded-xl border border-slate-200 bg-white px-3 py-1.5 text-xs font-medium text-slate-600 shadow-sm shadow-slate-200 transition hover:-translate-y-0.5 hover:border-indigo-300 hover:text-indigo-600 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-indigo-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-200 dark:shadow-slate-900/40 dark:hover:border-indigo-400 dark:hover:text-indigo-200">
+                                <span aria-hidden="true">☀️</span>
+                                <span class="theme-toggle-label">${t('themeLight')}</span>
+                            </button>`;
+}
+
+// 子页面（回收站、修改历史、导入结果等）顶部的返回链接和右侧控件。
+function renderPageHeader(user, backPath = '/') {
+    return `
+                    <div class="flex flex-wrap items-center justify-between gap-3">
+                        <a href="${escapeAttribute(withBase(backPath))}" class="text-sm font-medium text-indigo-600 transition hover:text-indigo-500 dark:text-indigo-300 dark:hover:text-indigo-200" data-i18n="backToBoard">${t('backToBoard')}</a>
+                        <div class="flex items-center gap-3">
+                            ${renderHeaderControls(user)}
+                        </div>
+                    </div>`;
+}
+
+module.exports = {
+    renderHeaderControls,
+    renderPageHeader
+};
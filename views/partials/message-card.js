@@ -0,0 +1,244 @@
+const { MAX_REPLY_DEPTH, REACTION_EMOJIS } = require('../../constants');
+const { buildListPath, escapeAttribute, escapeHtml, escapeTextarea, formatDisplayTime, formatFileSize, renderContentHtml, renderCsrfField, t, withBase } = require('../helpers');
+const { renderHoneypotField, renderMarkdownToolbar } = require('./composer');
+
+// context：user 当前用户，canManage(message) 是否可编辑/删除，currentPage 与 filters（{ q, board, tag, sort }）用于表单提交后返回原列表，
+// childrenByParent 为 groupByParent 得到的回复索引。
+function renderMessageCard(message, context, depth = 0) {
+    const { id, content, created_at, updated_at, author_id, author_name, parent_id, parent_author_name, protected_at, pinned_at, pinned_until } = message;
+    const { user, canManage, currentPage, filters, childrenByParent } = context;
+    const displayTime = formatDisplayTime(created_at);
+    const authorHtml = author_name
+        ? `<span class="font-semibold text-slate-600 dark:text-slate-300">${escapeHtml(author_name)}</span>`
+        : `<span data-i18n="anonymousAuthor">${t('anonymousAuthor')}</span>`;
+    const parentName = parent_author_name || `#${parent_id}`;
+    const replyTargetHtml = parent_id && (depth === 0 || depth >= MAX_REPLY_DEPTH)
+        ? `<span aria-hidden="true">·</span><a href="#message-${parent_id}" class="text-indigo-500 transition hover:text-indigo-600 dark:text-indigo-300" data-i18n="replyingTo" data-name="${escapeAttribute(parentName)}">${t('replyingTo', { name: parentName })}</a>`
+        : '';
+    const editedHtml = updated_at
+        ? `<span aria-hidden="true">·</span><a href="${withBase(`/messages/${id}/revisions`)}" title="${escapeAttribute(formatDisplayTime(updated_at))}" class="transition hover:text-indigo-600 dark:hover:text-indigo-300" data-i18n="editedMarker">${t('editedMarker')}</a>`
+        : '';
+    const pageFields = `
+                            ${renderCsrfField(user)}
+                            <input type="hidden" name="page" value="${currentPage}">${renderFilterFields(filters)}`;
+    const protectedHtml = protected_at
+        ? `<span class="rounded-full bg-amber-100 px-2 py-0.5 font-semibold text-amber-700 dark:bg-amber-500/20 dark:text-amber-200" title="${escapeAttribute(formatDisplayTime(protected_at))}" data-i18n="protectedBadge">${t('protectedBadge')}</span>`
+        : '';
+    const pinnedKey = pinned_until ? 'pinnedUntilBadge' : 'pinnedBadge';
+    const pinnedHtml = pinned_at
+        ? `<span class="rounded-full bg-indigo-100 px-2 py-0.5 font-semibold text-indigo-700 dark:bg-indigo-500/20 dark:text-indigo-200" title="${escapeAttribute(formatDisplayTime(pinned_at))}" data-i18n="${pinnedKey}"${pinned_until ? ` data-time="${escapeAttribute(formatDisplayTime(pinned_until))}"` : ''}>${t(pinnedKey, { time: pinned_until ? formatDisplayTime(pinned_until) : '' })}</span>`
+        : '';
+    const manageable = canManage({ author_id });
+    // 保留策略以主题为单位，所以只有顶层留言可以设置保护。
+    const protectKey = protected_at ? 'unprotectButton' : 'protectButton';
+    const protectForm = depth === 0 && user?.role === 'admin'
+        ? `
+                            <form action="${withBase('/protect')}" method="post">
+                                <input type="hidden" name="id" value="${id}">
+                                <input type="hidden" name="protect" value="${protected_at ? 0 : 1}">${pageFields}
+                                <button type="submit" class="rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-amber-300 hover:text-amber-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-amber-400 dark:hover:text-amber-300" data-i18n="${protectKey}">${t(protectKey)}</button>
+                            </form>`
+        : '';
+    // 置顶同样只针对主题；置顶时可以选一个截止日期，留空表示一直置顶。
+    const pinForm = depth === 0 && user?.role === 'admin'
+        ? pinned_at
+            ? `
+                            <form action="${withBase('/pin')}" method="post">
+                                <input type="hidden" name="id" value="${id}">
+                                <input type="hidden" name="pin" value="0">${pageFields}
+                                <button type="submit" class="rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300" data-i18n="unpinButton">${t('unpinButton')}</button>
+                            </form>`
+            : `
+                            <details class="relative">
+                                <summary class="inline-flex cursor-pointer select-none list-none items-center rounded-lg border border-slate-200 bg-white px-3 py-1 text-xs font-medium text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300" data-i18n="pinButton">${t('pinButton')}</summary>
+                                <form action="${withBase('/pin')}" method="post" class="absolute right-0 z-10 mt-1 flex w-56 flex-col gap-2 rounded-xl border border-slate-200 bg-white p-3 shadow-lg dark:border-slate-700 dark:bg-slate-900">
+                                    <input type="hidden" name="id" value="${id}">
+                                    <input type="hidden" name="pin" value="1">${pageFields}
+                                    <label class="flex flex-col gap-1 text-xs text-slate-500 dark:text-slate-400">
+                                        <span data-i18n="pinUntilLabel">${t('pinUntilLabel')}</span>
+                                        <input type="date" name="pinned_until" class="rounded-lg border border-slate-200 bg-white px-2 py-1 text-slate-700 focus:border-indigo-300 focus:outline-none dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-100">
+                                    </label>
+                                    <button type="submit" class="rounded-lg bg-indigo-600 px-3 py-1 text-xs font-semibold text-white transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400" data-i18n="pinSubmit">${t('pinSubmit')}</button>
+                                </form>
+                            </details>`
+        : '';
+    const deleteForm = manageable
+        ? `
+                            <form action="${withBase('/delete')}" method="post" data-confirm="deleteConfirm">
+                                <input type="hidden" name="id" value="${id}">${pageFields}
+                                <button type="submit" class="rounded-lg border border-rose-200 bg-rose-50 px-3 py-1 text-xs font-medium text-rose-600 transition hover:bg-rose-100 hover:text-rose-700 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200 dark:hover:bg-rose-500/20" data-i18n="deleteButton">${t('deleteButton')}</button>
+                            </form>`
+        : '';
+    const actionsHtml = pinForm || protectForm || deleteForm
+        ? `
+                        <div class="flex shrink-0 items-center justify-end gap-2 sm:self-start">${pinForm}${protectForm}${deleteForm}
+                        </div>`
+        : '';
+    const editForm = manageable
+        ? `
+                    <details class="mt-3 open:w-full">
+                        <summary class="inline-flex cursor-pointer select-none items-center text-xs font-medium text-slate-500 transition hover:text-indigo-600 dark:text-slate-400 dark:hover:text-indigo-300" data-i18n="editButton">${t('editButton')}</summary>
+                        <form action="${withBase('/edit')}" method="post" class="mt-3 space-y-2">
+                            <input type="hidden" name="id" value="${id}">${pageFields}
+                            ${renderMarkdownToolbar()}
+                            <textarea name="message" rows="4" required class="block w-full rounded-xl border border-slate-200 bg-slate-50/80 px-3 py-2 text-sm leading-6 text-slate-800 shadow-inner shadow-slate-200 transition focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-100 dark:shadow-slate-900/30">${escapeTextarea(content)}</textarea>
+                            <div class="flex items-center justify-end gap-3">
+                                ${updated_at ? `<a href="${withBase(`/messages/${id}/revisions`)}" class="text-xs font-medium text-slate-400 transition hover:text-indigo-600 dark:text-slate-500 dark:hover:text-indigo-300" data-i18n="revisionsLink">${t('revisionsLink')}</a>` : ''}
+                                <button type="submit" class="inline-flex items-center justify-center rounded-lg bg-indigo-600 px-4 py-1.5 text-xs font-semibold text-white shadow-sm shadow-indigo-300 transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="saveButton">${t('saveButton')}</button>
+                            </div>
+                        </form>
+                    </details>`
+        : '';
+    const replyForm = user
+        ? `
+                    <details class="mt-3 open:w-full">
+                        <summary class="inline-flex cursor-pointer select-none items-center text-xs font-medium text-slate-500 transition hover:text-indigo-600 dark:text-slate-400 dark:hover:text-indigo-300" data-i18n="replyButton">${t('replyButton')}</summary>
+                        <form action="${withBase('/submit')}" method="post" class="relative mt-3 space-y-2">
+                            <input type="hidden" name="parent_id" value="${id}">${pageFields}
+                            ${renderHoneypotField()}
+                            <textarea name="message" rows="3" required placeholder="${t('replyPlaceholder')}" class="block w-full rounded-xl border border-slate-200 bg-slate-50/80 px-3 py-2 text-sm leading-6 text-slate-800 shadow-inner shadow-slate-200 transition focus:border-indigo-500 focus:outline-none focus:ring-2 focus:ring-indigo-200 dark:border-slate-700 dark:bg-slate-900/60 dark:text-slate-100 dark:shadow-slate-900/30" data-i18n-placeholder="replyPlaceholder"></textarea>
+                            <div class="flex justify-end">
+                                <button type="submit" class="inline-flex items-center justify-center rounded-lg bg-indigo-600 px-4 py-1.5 text-xs font-semibold text-white shadow-sm shadow-indigo-300 transition hover:bg-indigo-500 dark:bg-indigo-500 dark:hover:bg-indigo-400 dark:shadow-indigo-900/40" data-i18n="replySubmit">${t('replySubmit')}</button>
+                            </div>
+                        </form>
+                    </details>`
+        : '';
+
+    // 超过最大嵌套深度后不再缩进，剩余的回复按时间平铺在同一层。
+    let replies = [];
+    if (depth + 1 < MAX_REPLY_DEPTH) {
+        replies = childrenByParent.get(id) || [];
+    } else if (depth + 1 === MAX_REPLY_DEPTH) {
+        replies = collectDescendants(id, childrenByParent);
+    }
+    const replyCount = countDescendants(id, childrenByParent);
+    // 可以容纳回复的层级总是输出回复容器（没有回复时隐藏），便于实时插入新回复。
+    const repliesHtml = depth < MAX_REPLY_DEPTH && !filters.q && !filters.tag
+        ? `
+                    <details class="mt-4" data-replies${depth < 1 ? ' open' : ''}${replies.length ? '' : ' hidden'}>
+                        <summary class="inline-flex cursor-pointer select-none items-center text-xs font-medium text-indigo-500 transition hover:text-indigo-600 dark:text-indigo-300 dark:hover:text-indigo-200" data-i18n="replyCount" data-count="${replyCount}">${t('replyCount', { count: replyCount })}</summary>
+                        <ul class="mt-3 space-y-3 border-l-2 border-slate-100 pl-4 dark:border-slate-800">
+                            ${replies.map((reply) => renderMessageCard(reply, context, depth + 1)).join('')}
+                        </ul>
+                    </details>`
+        : '';
+
+    let itemClasses = depth === 0
+        ? 'rounded-2xl border border-slate-200 bg-white/95 p-5 shadow-sm shadow-slate-100/60 transition hover:-translate-y-0.5 hover:shadow-lg dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40'
+        : 'rounded-xl border border-slate-100 bg-slate-50/70 p-4 dark:border-slate-800 dark:bg-slate-900/50';
+    if (pinned_at) {
+        itemClasses = itemClasses.replace('border-slate-200', 'border-indigo-200 ring-1 ring-indigo-100 dark:ring-indigo-500/20').replace('dark:border-slate-800', 'dark:border-indigo-500/40');
+    }
+    return `
+                <li id="message-${id}" data-message-id="${id}" data-depth="${depth}" class="${itemClasses}">
+                    <div class="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between sm:gap-6">
+                        <div class="flex-1 min-w-0 space-y-3">
+                            <p class="flex flex-wrap items-center gap-2 text-xs font-medium text-slate-400 dark:text-slate-500">${authorHtml}<span aria-hidden="true">·</span><span>${displayTime}</span>${editedHtml}${replyTargetHtml}${pinnedHtml}${protectedHtml}</p>
+                            ${message.snippetHtml ? `<p class="search-snippet rounded-xl bg-amber-50/70 px-3 py-2 text-xs leading-5 text-slate-600 dark:bg-amber-500/5 dark:text-slate-300">${message.snippetHtml}</p>` : ''}
+                            <div class="message-content prose prose-slate max-w-none text-sm dark:prose-invert">${renderContentHtml(message.content_html, filters.board)}</div>${renderTagChips(message.tags, filters)}${renderAttachments(message.attachments)}${renderReactions(message, context)}
+                        </div>${actionsHtml}
+                    </div>
+                    <div class="flex flex-wrap items-start gap-x-4">${editForm}${replyForm}
+                    </div>${repliesHtml}
+                </li>
+            `;
+}
+
+// 列表筛选条件作为隐藏字段随表单提交，处理完后回到同一个列表。
+function renderFilterFields(filters) {
+    return Object.entries(filters)
+        .filter(([, value]) => value)
+        .map(([name, value]) => `
+                            <input type="hidden" name="${name}" value="${escapeAttribute(value)}">`)
+        .join('');
+}
+
+// 点击标签只筛选该标签，保留其余筛选条件；正在筛选的标签高亮显示。
+function renderTagChips(tags = [], filters) {
+    if (!tags.length) {
+        return '';
+    }
+    const chips = tags.map((name) => `<a href="${escapeAttribute(withBase(buildListPath(1, { ...filters, tag: name })))}" class="rounded-full px-2 py-0.5 text-xs font-medium transition ${name === filters.tag ? 'bg-indigo-600 text-white dark:bg-indigo-500' : 'bg-indigo-50 text-indigo-600 hover:bg-indigo-100 dark:bg-indigo-500/10 dark:text-indigo-300 dark:hover:bg-indigo-500/20'}" data-tag="${escapeAttribute(name)}">#${escapeHtml(name)}</a>`);
+    return `
+                            <p class="message-tags flex flex-wrap gap-1.5">${chips.join('')}</p>`;
+}
+
+// 回应计数显示在正文下方。登录用户点计数按钮即切换自己的回应，选择器列出全部可用表情；未登录时只显示计数。
+function renderReactions(message, { user, currentPage, filters }) {
+    const reactions = message.reactions || [];
+    if (!user) {
+        return reactions.length
+            ? `
+                            <p class="message-reactions flex flex-wrap gap-1.5">${reactions.map(({ emoji, count }) => `<span class="inline-flex items-center gap-1 rounded-full border border-slate-200 bg-white px-2 py-0.5 text-xs text-slate-500 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400"><span>${escapeHtml(emoji)}</span><span class="tabular-nums">${count}</span></span>`).join('')}</p>`
+            : '';
+    }
+    const counts = reactions.map(({ emoji, count, reacted }) => `
+                                <button type="submit" name="emoji" value="${escapeAttribute(emoji)}" aria-pressed="${reacted}" class="inline-flex items-center gap-1 rounded-full border px-2 py-0.5 text-xs transition ${reacted ? 'border-indigo-300 bg-indigo-50 text-indigo-600 dark:border-indigo-400/60 dark:bg-indigo-500/15 dark:text-indigo-200' : 'border-slate-200 bg-white text-slate-500 hover:border-indigo-300 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-400 dark:hover:border-indigo-400'}"><span>${escapeHtml(emoji)}</span><span class="tabular-nums">${count}</span></button>`).join('');
+    return `
+                            <form action="${withBase('/react')}" method="post" class="message-reactions flex flex-wrap items-center gap-1.5" data-reactions>
+                                <input type="hidden" name="id" value="${message.id}">
+                                ${renderCsrfField(user)}
+                                <input type="hidden" name="page" value="${currentPage}">${renderFilterFields(filters)}${counts}
+                                <details class="relative">
+                                    <summary class="inline-flex cursor-pointer select-none list-none items-center rounded-full border border-dashed border-slate-300 px-2 py-0.5 text-xs text-slate-400 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:text-slate-500 dark:hover:border-indigo-400 dark:hover:text-indigo-300"><span aria-hidden="true">☺+</span><span class="sr-only" data-i18n="reactionAdd">${t('reactionAdd')}</span></summary>
+                                    <div class="absolute left-0 z-10 mt-1 flex gap-0.5 rounded-xl border border-slate-200 bg-white p-1 shadow-lg dark:border-slate-700 dark:bg-slate-900">${REACTION_EMOJIS.map((emoji) => `<button type="submit" name="emoji" value="${escapeAttribute(emoji)}" class="rounded-lg px-1.5 py-1 text-base transition hover:bg-slate-100 dark:hover:bg-slate-800">${emoji}</button>`).join('')}</div>
+                                </details>
+                            </form>`;
+}
+
+function renderAttachments(attachments = []) {
+    if (!attachments.length) {
+        return '';
+    }
+    const images = attachments.filter((item) => item.mime_type.startsWith('image/'));
+    const files = attachments.filter((item) => !item.mime_type.startsWith('image/'));
+    const imagesHtml = images.map((item) => `
+                                <a href="${withBase(`/uploads/${item.stored_name}`)}" target="_blank" rel="noopener" class="block overflow-hidden rounded-xl border border-slate-200 bg-slate-50 transition hover:border-indigo-300 dark:border-slate-700 dark:bg-slate-900/60 dark:hover:border-indigo-400">
+                                    <img src="${withBase(`/uploads/${item.stored_name}`)}" alt="${escapeAttribute(item.original_name)}" loading="lazy" class="h-32 w-auto max-w-full object-cover">
+                                </a>`).join('');
+    const filesHtml = files.map((item) => `
+                                <a href="${withBase(`/uploads/${item.stored_name}`)}" download="${escapeAttribute(item.original_name)}" class="inline-flex max-w-full items-center gap-2 rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 transition hover:border-indigo-300 hover:text-indigo-600 dark:border-slate-700 dark:bg-slate-900/70 dark:text-slate-300 dark:hover:border-indigo-400 dark:hover:text-indigo-300">
+                                    <span class="truncate font-medium">${escapeHtml(item.original_name)}</span>
+                                    <span class="shrink-0 text-slate-400 dark:text-slate-500">${formatFileSize(item.size)}</span>
+                                </a>`).join('');
+    return `
+                            <div class="message-attachments space-y-2">
+                                ${imagesHtml ? `<div class="flex flex-wrap gap-2">${imagesHtml}</div>` : ''}
+                                ${filesHtml ? `<div class="flex flex-wrap gap-2">${filesHtml}</div>` : ''}
+                            </div>`;
+}
+
+function groupByParent(messages) {
+    const map = new Map();
+    messages.forEach((message) => {
+        if (!map.has(message.parent_id)) {
+            map.set(message.parent_id, []);
+        }
+        map.get(message.parent_id).push(message);
+    });
+    return map;
+}
+
+function collectDescendants(messageId, childrenByParent) {
+    const result = [];
+    const stack = (childrenByParent.get(messageId) || []).slice();
+    while (stack.length) {
+        const message = stack.shift();
+        result.push(message);
+        stack.push(...(childrenByParent.get(message.id) || []));
+    }
+    return result.sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id);
+}
+
+function countDescendants(messageId, childrenByParent) {
+    return (childrenByParent.get(messageId) || [])
+        .reduce((total, child) => total + 1 + countDescendants(child.id, childrenByParent), 0);
+}
+
+module.exports = {
+    groupByParent,
+    renderAttachments,
+    renderFilterFields,
+    renderMessageCard,
+    renderReactions
+};
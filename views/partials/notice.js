@@ -0,0 +1,40 @@
+const { getConfig } = require('../../config');
+const { hasTranslation } = require('../../i18n');
+const { MAX_ATTACHMENTS, MAX_ATTACHMENT_SIZE, MIN_PASSWORD_LENGTH } = require('../../constants');
+const { escapeAttribute, formatFileSize, t } = require('../helpers');
+
+// 提示文字对应 locales 中的 error<Key> 条目，固定参数在这里补齐，浏览器切换语言时也能用上。
+function getNoticeParams(key) {
+    switch (key) {
+        case 'passwordTooShort':
+            return { min: MIN_PASSWORD_LENGTH };
+        case 'attachmentTooLarge':
+            return { size: formatFileSize(MAX_ATTACHMENT_SIZE) };
+        case 'tooManyAttachments':
+            return { count: MAX_ATTACHMENTS };
+        case 'tooManyLinks':
+            return { max: getConfig().maxLinksPerMessage };
+        default:
+            return {};
+    }
+}
+
+function renderNotice(key, extraParams = {}) {
+    if (typeof key !== 'string' || !/^[a-z][A-Za-z]*$/.test(key)) {
+        return '';
+    }
+    const i18nKey = `error${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    if (!hasTranslation(i18nKey)) {
+        return '';
+    }
+    const params = { ...getNoticeParams(key), ...extraParams };
+    const attributes = Object.entries(params)
+        .map(([name, value]) => ` data-${name}="${escapeAttribute(String(value))}"`)
+        .join('');
+    return `
+                    <p role="alert" class="mb-4 rounded-2xl border border-rose-200 bg-rose-50 px-4 py-3 text-sm text-rose-600 dark:border-rose-500/40 dark:bg-rose-500/10 dark:text-rose-200" data-i18n="${i18nKey}"${attributes}>${t(i18nKey, params)}</p>`;
+}
+
+module.exports = {
+    renderNotice
+};
@@ -0,0 +1,79 @@
+const { boardPath, buildListPath, escapeAttribute, t, withBase, withQuery } = require('../helpers');
+
+const LINK_CLASSES = 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium transition';
+const ACTIVE_CLASSES = 'bg-indigo-600 text-white shadow-sm shadow-indigo-300 dark:shadow-indigo-900/40';
+const INACTIVE_CLASSES = 'text-slate-600 hover:bg-slate-100 hover:text-indigo-600 dark:text-slate-300 dark:hover:bg-slate-800 dark:hover:text-indigo-300';
+const STEP_CLASSES = 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium text-indigo-600 hover:bg-indigo-50 dark:text-indigo-300 dark:hover:bg-slate-800';
+const DISABLED_CLASSES = 'inline-flex items-center justify-center rounded-lg px-3 py-1 text-xs font-medium text-slate-400 bg-slate-100/70 cursor-not-allowed dark:text-slate-600 dark:bg-slate-800/60';
+
+// filters 为当前列表的 { q, board, tag, sort }。按时间浏览时上一页 / 下一页使用游标（newerCursor / olderCursor），
+// 搜索、按标签筛选或按回应排序时仍按页码翻页；
+// 页码只显示首末页和当前页前后各一页，其余用省略号代替。
+function renderPagination({ currentPage, totalPages, filters = {}, newerCursor = null, olderCursor = null }) {
+    if (totalPages <= 1 && !newerCursor && !olderCursor) {
+        return '';
+    }
+
+    const buildHref = (page) => withBase(buildListPath(page, filters));
+    let prevHref = null;
+    let nextHref = null;
+    if (filters.q || filters.tag || filters.sort) {
+        prevHref = currentPage > 1 ? buildHref(currentPage - 1) : null;
+        nextHref = currentPage < totalPages ? buildHref(currentPage + 1) : null;
+    } else {
+        prevHref = newerCursor ? withBase(withQuery(boardPath(filters.board), { after: newerCursor })) : null;
+        nextHref = olderCursor ? withBase(withQuery(boardPath(filters.board), { before: olderCursor })) : null;
+    }
+
+    const pageLinks = getPageItems(currentPage, totalPages)
+        .map((page) => {
+            if (page === null) {
+                return '<span class="px-1 text-xs text-slate-400 dark:text-slate-500" aria-hidden="true">…</span>';
+            }
+            const isActive = page === currentPage;
+            return `<a href="${buildHref(page)}" class="${LINK_CLASSES} ${isActive ? ACTIVE_CLASSES : INACTIVE_CLASSES}"${isActive ? ' aria-current="page"' : ''}>${page}</a>`;
+        })
+        .join('');
+
+    const stepLink = (href, key, rel) => (href
+        ? `<a href="${escapeAttribute(href)}" rel="${rel}" class="${STEP_CLASSES}" data-i18n="${key}"${rel === 'next' ? ' data-next-page' : ''}>${t(key)}</a>`
+        : `<span class="${DISABLED_CLASSES}" aria-disabled="true" data-i18n="${key}">${t(key)}</span>`);
+
+    return `
+        <nav class="flex flex-col gap-3 rounded-2xl border border-slate-200 bg-white/85 p-4 text-sm shadow-sm transition-colors sm:flex-row sm:items-center sm:justify-between dark:border-slate-800 dark:bg-slate-900/80 dark:shadow-slate-900/40" data-pagination>
+            <div class="flex flex-wrap items-center gap-3 text-xs text-slate-500 dark:text-slate-400">
+                <span data-i18n="paginationLabel" data-current="${currentPage}" data-totalpages="${totalPages}">${t('paginationLabel', { current: currentPage, totalpages: totalPages })}</span>
+                <button type="button" class="font-medium text-indigo-600 transition hover:text-indigo-500 dark:text-indigo-300 dark:hover:text-indigo-200" data-infinite-toggle hidden data-i18n="infiniteScrollEnable">${t('infiniteScrollEnable')}</button>
+            </div>
+            <div class="flex flex-wrap items-center gap-2">
+                ${stepLink(prevHref, 'paginationPrev', 'prev')}
+                <div class="flex flex-wrap items-center gap-1">
+                    ${pageLinks}
+                </div>
+                ${stepLink(nextHref, 'paginationNext', 'next')}
+            </div>
+        </nav>
+    `;
+}
+
+// 返回要显示的页码，null 表示省略号；只隔一页时直接显示那一页，不用省略号。
+function getPageItems(currentPage, totalPages) {
+    const pages = [1, currentPage - 1, currentPage, currentPage + 1, totalPages]
+        .filter((page, index, list) => page >= 1 && page <= totalPages && list.indexOf(page) === index)
+        .sort((a, b) => a - b);
+    const items = [];
+    pages.forEach((page, index) => {
+        const gap = index ? page - pages[index - 1] : 1;
+        if (gap === 2) {
+            items.push(page - 1);
+        } else if (gap > 2) {
+            items.push(null);
+        }
+        items.push(page);
+    });
+    return items;
+}
+
+module.exports = {
+    renderPagination
+};